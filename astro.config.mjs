@@ -1,5 +1,41 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import node from '@astrojs/node';
+import { cpSync } from 'node:fs';
+
+// Serve the Draco and KTX2 (Basis) decoders from public/decoders, matching the three version in use
+// The paths are read by src/components/3d/modelLoader.js
+function threeDecoders() {
+  return {
+    name: 'three-decoders',
+    hooks: {
+      'astro:config:setup': () => {
+        const libs = new URL('./node_modules/three/examples/jsm/libs/', import.meta.url);
+        const decoders = new URL('./public/decoders/', import.meta.url);
+        for (const file of ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']) {
+          cpSync(new URL(`draco/gltf/${file}`, libs), new URL(`draco/${file}`, decoders));
+        }
+        for (const file of ['basis_transcoder.js', 'basis_transcoder.wasm']) {
+          cpSync(new URL(`basis/${file}`, libs), new URL(`basis/${file}`, decoders));
+        }
+      }
+    }
+  };
+}
 
 // https://astro.build/config
-export default defineConfig({});
+// Pages are prerendered - the cart endpoint and page opt out with prerender = false
+// Every page lives under src/pages/[lang]/ - keep the locales in sync with src/i18n/ui.ts
+export default defineConfig({
+  site: process.env.SITE_URL, // Public origin such as https://example.com - absolute URLs in meta tags need it
+  adapter: node({ mode: 'standalone' }),
+  i18n: {
+    locales: ['en', 'ja'],
+    defaultLocale: 'en',
+    routing: {
+      prefixDefaultLocale: true, // /en/ as well as /ja/
+      redirectToDefaultLocale: false // src/pages/index.astro redirects by the browser's language instead
+    }
+  },
+  integrations: [threeDecoders()]
+});
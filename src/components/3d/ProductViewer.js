@@ -1,24 +1,114 @@
 import * as THREE from 'three'; // Import the main Three.js library
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'; // Import GLTF loader for loading 3D models
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'; // Import controls for camera manipulation
+import { DecalGeometry } from 'three/examples/jsm/geometries/DecalGeometry.js'; // Import decal geometry for projecting designs onto the garment
+import WebGL from 'three/examples/jsm/capabilities/WebGL.js'; // Import WebGL capability check
+import { resolveOptions } from './viewerOptions.js'; // Import option defaults and validation
+import { exportPrintFile, canvasToBlob } from './printExport.js'; // Import the flat print file exporter
+import { composeMockupSheet, recordCanvas } from './mediaExport.js'; // Import mockup sheet and video helpers
+import { CAMERA_PRESETS, KEYBOARD_ROTATE_STEP, KEYBOARD_ZOOM_FACTOR } from './cameraPresets.js'; // Import named camera views
+import { viewerEventName } from './viewerEvents.js'; // Import event names (details are documented there)
+import { renderFallbackMockup } from './fallbackMockup.js'; // Import the flat mockup used without WebGL
+import { MATERIAL_MODES, createGarmentMaterial } from './garmentMaterials.js'; // Import material modes and fabric presets
+import { getModelLoader } from './modelLoader.js'; // Import the GLTF loader with Draco, Meshopt and KTX2 support
+import { LIGHTING_PRESETS, TONE_MAPPINGS, createGradientScene, createGradientBackground, loadEnvironmentTexture } from './lightingPresets.js'; // Import lighting presets
+import { QUALITY_TIERS, QualityController, TierRenderer, applyRendererTier } from './adaptiveQuality.js'; // Import quality tiers, the frame time monitor and the antialiasing renderer
+import { MIN_DESIGN_SCALE, MAX_DESIGN_SCALE, MAX_DESIGN_OFFSET, fitDesignPlacement } from './designPlacement.js'; // Import the design placement limits
+
+// Retry delays for the model load - doubles on every attempt
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 16000;
+
+// Viewer instances by their container element, so other components can find them
+const viewersByContainer = new WeakMap();
+
+// Counter for ids that have to be unique on the page
+let viewerCount = 0;
 
 export default class ProductViewer {
-  constructor(container) {
+  // Get the viewer mounted in a container, if any
+  static fromContainer(container) {
+    return viewersByContainer.get(container) || null;
+  }
+  
+  // group: ViewerGroup that draws this viewer into a canvas shared with other viewers (see ViewerGroup.js)
+  constructor(container, options = {}, { group = null } = {}) {
     this.container = container; // HTML element that will contain the 3D canvas
+    this.group = group; // Shared renderer and camera for compare panes, null for a standalone viewer
+    this.surface = null; // Element that takes pointer and keyboard input - the canvas, or a pane overlay in a group
+    this.tierRenderer = null; // Draws the scene with the quality tier's antialiasing
+    this.options = resolveOptions(options); // Options merged with the defaults (see viewerOptions.js)
+    this.strings = this.options.strings; // UI text of the viewer's locale (see viewerStrings.js)
     this.rotationSpeed = 0.005; // Controls how fast the model rotates (currently only used by autoRotate)
     this.isUserInteracting = false; // Track if user is currently interacting
     this.resetTimeout = null; // Timeout for returning to original position
     this.defaultCameraPosition = new THREE.Vector3(); // Store original camera position
     this.defaultTarget = new THREE.Vector3(); // Store original target
+    this.viewIsDefault = true; // False once the user, a preset or a restored pose moves the camera
+    this.pendingCameraPose = null; // Pose restored before the model had loaded
     this.clock = new THREE.Clock(); // Clock for tracking time
+    this.quality = this.group ? null : new QualityController(this.options.quality); // Picks the quality tier from frame times - a group measures for its panes
+    this.qualityTier = this.group ? this.group.qualityTier : QUALITY_TIERS[this.quality.tier]; // Current rendering quality (see adaptiveQuality.js)
+    this.frameFollowsPrevious = false; // Whether the next frame comes right after the last one, so its time can be measured
+    this.qualityOverlay = null; // DOM element showing the frame rate and tier
     this.cursorPosition = { x: 0, y: 0 }; // Track cursor position
     this.resetCountdown = null; // DOM element for countdown
-    this.resetDuration = 2000; // Duration in ms before resetting (changing to 2 seconds)
+    this.resetDuration = this.options.resetDuration; // Duration in ms before resetting
+    this.printArea = this.options.printArea; // Print area center offset and size, relative to the model bounds
+    this.designUrl = null; // URL of the requested design image
+    this.designDecal = null; // Decal mesh showing the current design
+    this.shownDesign = null; // { url, image } of the design on the garment, in 3D and in the flat mockup
+    this.designPlacement = { offset: { x: 0, y: 0 }, scale: 1, rotation: 0 }; // Design position within the print area
+    this.designDrag = null; // Pointer state while the design is being dragged
+    this.garmentMaterials = []; // Materials of the garment, recolored by setGarmentColor()
+    this.authoredMaterials = new Map(); // Materials from the glTF files by mesh, kept for switching modes
+    this.modelUrl = this.options.modelUrl; // Model currently shown or being loaded
+    this.shownModelUrl = null; // Model in the scene - a preview stands in for its full model's URL
+    this.modelRequest = null; // Latest loadModel() call, so older ones can tell they were superseded
+    this.modelCache = new Map(); // Prepared models by URL, as promises
+    this.groundPlane = null; // Receives the model's shadow, shared by every model
+    this.fadeFrameId = null;
+    this.recording = false; // A turntable video is being recorded
+    this.finishCrossFade = null; // Completes a running cross-fade between models
+    this.materialMode = this.options.material; // 'preserve', 'standard' or a fabric preset
+    this.lighting = this.options.lighting; // Name of the current lighting preset
+    this.lights = {}; // Ambient, key, rim and fill lights, adjusted by the lighting preset
+    this.backgroundTexture = null; // Gradient background of the current lighting preset
+    this.garmentColor = null; // Requested garment color { color, name }
+    this.colorFrameId = null; // Request id of the color transition
+    this.textureLoader = new THREE.TextureLoader(); // Loader for design images
+    this.raycaster = new THREE.Raycaster(); // Raycaster for finding the print area on the garment surface
+    this.animationFrameId = null; // Request id of the render loop
+    this.countdownFrameId = null; // Request id of the countdown animation
+    this.tweenFrameId = null; // Request id of the camera reset animation
+    this.isInView = true; // Whether the container is visible in the viewport
+    this.fallback = false; // Set when WebGL is unavailable and a flat mockup is shown
+    this.contextLost = false; // Whether the WebGL context is currently lost
+    this.retryCount = 0; // Number of model load retries, for the backoff delay
+    this.retryTimeout = null; // Timeout for the next model load retry
+    this.disposed = false; // Set once dispose() has run
+    this.abortController = new AbortController(); // Removes all DOM listeners on dispose
+    this.eventListeners = new Set(); // Listeners added through on(), removed on dispose
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)'); // Disables auto-rotate and tweens
+    this.id = ++viewerCount; // Unique number for element ids
+    viewersByContainer.set(container, this);
+    this.onControlsStart = () => this.onInteractionStart('controls');
+    this.onControlsEnd = () => this.onInteractionEnd('controls');
+    this.requestRender = this.requestRender.bind(this);
+    this.animate = this.animate.bind(this);
+    if (this.group) {
+      this.group.add(this);
+    }
     this.init();
   }
 
   init() {
-    // Create loading indicator
+    const { signal } = this.abortController; // Every DOM listener is tied to this signal
+    
+    // Add the styles shared by every viewer on the page
+    this.injectStyles();
+    
+    // Show the poster image until the first frame, then the loading indicator on top
+    this.createPoster();
     this.createLoadingIndicator();
     
     // Create cursor countdown
@@ -26,7 +116,6 @@ export default class ProductViewer {
     
     // Create scene - a container for all 3D objects, lights, and cameras
     this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0x666666); // Slightly brighter background (0x0a0a0a to 0x111111)
 
     // Create camera - determines what is visible in the scene
     this.camera = new THREE.PerspectiveCamera(
@@ -38,43 +127,76 @@ export default class ProductViewer {
     this.camera.position.set(0, 0, 5); // Position camera at (x, y, z) coordinates
 
     // Create renderer - draws the scene on the canvas
-    this.renderer = new THREE.WebGLRenderer({ 
-      antialias: true, // Smooths edges and improves visual quality
-      powerPreference: 'high-performance' // Request high-performance GPU
-    });
-    this.renderer.setSize(
-      this.container.clientWidth, 
-      this.container.clientHeight
-    ); // Set canvas size to match container
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit pixel ratio for performance
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace; // Set color space for better color accuracy
-    this.renderer.shadowMap.enabled = true; // Enable shadow rendering
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Softer shadow edges
-    this.container.appendChild(this.renderer.domElement); // Add the canvas to the container element
+    try {
+      if (this.group) {
+        // Draw into the group's canvas - it ran the same WebGL check when it was created
+        if (!this.group.renderer) {
+          throw new Error('WebGL 2 is not available');
+        }
+        this.renderer = this.group.renderer;
+      } else {
+        // Check up front - blocked WebGL or a blacklisted GPU would otherwise throw deep inside three.js
+        if (!WebGL.isWebGL2Available()) {
+          throw new Error('WebGL 2 is not available');
+        }
+        this.renderer = new THREE.WebGLRenderer({ 
+          antialias: false, // Fixed for the life of the context - the quality tier antialiases through tierRenderer
+          alpha: true, // Lighting presets may use a transparent background
+          powerPreference: 'high-performance' // Request high-performance GPU
+        });
+      }
+    } catch (error) {
+      console.warn('WebGL is unavailable, showing a static mockup instead:', error);
+      this.enterFallbackMode();
+      this.emit('error', { error, source: 'webgl', kind: 'unsupported' });
+      return;
+    }
+    if (this.group) {
+      // The shared canvas lies under every pane, so input goes to a transparent element over this one
+      this.surface = document.createElement('div');
+      this.surface.style.cssText = 'position: absolute; inset: 0;';
+      this.container.appendChild(this.surface);
+    } else {
+      this.renderer.setSize(
+        this.container.clientWidth, 
+        this.container.clientHeight
+      ); // Set canvas size to match container
+      this.renderer.outputColorSpace = THREE.SRGBColorSpace; // Set color space for better color accuracy
+      this.renderer.shadowMap.enabled = true; // Enable shadow rendering
+      applyRendererTier(this.renderer, this.qualityTier); // Pixel ratio and shadow filtering of the quality tier
+      this.renderer.setClearColor(0x000000, 0); // Shows through where the scene has no background
+      this.container.appendChild(this.renderer.domElement); // Add the canvas to the container element
+      this.surface = this.renderer.domElement;
+    }
+    
+    this.tierRenderer = new TierRenderer(this.renderer);
+    
+    // Make the canvas (or pane surface) focusable and describe it for screen readers
+    this.setupAccessibility();
 
-    // Add environment map for realistic reflections
-    this.addEnvironmentMap();
+    // Prefilters environment maps for realistic reflections
+    this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
 
     // Add lights - illuminate the scene to make objects visible
+    // Colors and intensities are set by the lighting preset in applyLighting()
     
     // Ambient light - general light that illuminates all objects equally
     const ambientLight = new THREE.AmbientLight(
-      0x404040, // Light color (increased from 0x303030 to 0x404040)
-      0.8 // Intensity (increased from 0.5 to 0.8)
+      0x404040, // Light color
+      this.options.ambientLightIntensity // Intensity
     );
     this.scene.add(ambientLight);
 
     // Directional light - simulates sunlight, comes from a specific direction
     const directionalLight = new THREE.DirectionalLight(
       0xffffff, // Light color (white)
-      1.5 // Intensity (increased from 1.0 to 1.5)
+      this.options.keyLightIntensity // Intensity
     );
     directionalLight.position.set(1, 1, 1); // Light direction (x, y, z)
     directionalLight.castShadow = true; // Allow this light to cast shadows
     
     // Optimize shadows
-    directionalLight.shadow.mapSize.width = 1024; // Shadow map resolution
-    directionalLight.shadow.mapSize.height = 1024;
+    directionalLight.shadow.mapSize.setScalar(this.qualityTier.shadowMapSize); // Shadow map resolution of the quality tier
     directionalLight.shadow.camera.near = 0.1; // Shadow camera frustum
     directionalLight.shadow.camera.far = 20;
     
@@ -83,7 +205,7 @@ export default class ProductViewer {
     // Rim light - adds definition to object edges
     const rimLight = new THREE.DirectionalLight(
       0xffffff, // Light color (white)
-      1.2 // Intensity (increased from 1.0 to 1.2)
+      this.options.rimLightIntensity // Intensity
     );
     rimLight.position.set(-1, 0.5, -1); // Position from behind and to the side
     this.scene.add(rimLight);
@@ -91,25 +213,30 @@ export default class ProductViewer {
     // Add a new fill light from the front to better illuminate the t-shirt
     const fillLight = new THREE.DirectionalLight(
       0xffffff, // Light color (white)
-      1.0 // Medium intensity
+      this.options.fillLightIntensity // Intensity
     );
     fillLight.position.set(0, 0, 2); // Position in front of the model
     this.scene.add(fillLight);
+    
+    this.lights = { ambient: ambientLight, key: directionalLight, rim: rimLight, fill: fillLight };
+    
+    // Tone mapping, environment, background, lights and ground shadow
+    this.applyLighting();
 
     // Add orbit controls - allows user to rotate, pan, and zoom the camera
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls = new OrbitControls(this.camera, this.surface);
     this.controls.enableDamping = true; // Add inertia to camera movements
     this.controls.dampingFactor = 0.05; // Amount of inertia (lower = more inertia)
-    this.controls.autoRotate = true; // Enable automatic rotation around the target
-    this.controls.autoRotateSpeed = 2.0; // Speed of auto-rotation (in degrees per second)
+    this.controls.autoRotate = this.options.autoRotate && !this.prefersReducedMotion(); // Automatic rotation around the target
+    this.controls.autoRotateSpeed = this.options.autoRotateSpeed; // Speed of auto-rotation
     
     // Set rotation limits (vertical)
-    this.controls.minPolarAngle = Math.PI / 4; // Limit how high user can orbit (45 degrees from top)
-    this.controls.maxPolarAngle = Math.PI - Math.PI / 4; // Limit how low user can orbit (45 degrees from bottom)
+    this.controls.minPolarAngle = this.options.minPolarAngle; // Limit how high user can orbit
+    this.controls.maxPolarAngle = this.options.maxPolarAngle; // Limit how low user can orbit
     
     // Limit zoom
-    this.controls.minDistance = 0.5; // Can't zoom closer than this
-    this.controls.maxDistance = 2; // Can't zoom farther than this
+    this.controls.minDistance = this.options.minDistance; // Can't zoom closer than this
+    this.controls.maxDistance = this.options.maxDistance; // Can't zoom farther than this
     
     // Track mouse position
     this.container.addEventListener('mousemove', (e) => {
@@ -121,161 +248,69 @@ export default class ProductViewer {
       if (this.resetCountdown && this.resetCountdown.style.display === 'block') {
         this.updateCountdownPosition();
       }
-    });
+    }, { signal });
     
     // Add event listeners for user interaction
-    this.controls.addEventListener('start', () => {
-      this.isUserInteracting = true;
-      this.controls.autoRotate = false; // Stop auto-rotation during interaction
-      
-      // Clear any existing timeout
-      if (this.resetTimeout) {
-        clearTimeout(this.resetTimeout);
-        this.resetTimeout = null;
+    this.controls.addEventListener('start', this.onControlsStart);
+    this.controls.addEventListener('end', this.onControlsEnd);
+    this.controls.addEventListener('change', this.requestRender); // Render whenever the camera moves
+    
+    // Drag the design across the garment - the capture phase runs before OrbitControls sees the pointer
+    this.container.addEventListener('pointerdown', (e) => this.onDesignPointerDown(e), { capture: true, signal });
+    this.surface.addEventListener('pointermove', (e) => this.onDesignPointerMove(e), { signal });
+    this.surface.addEventListener('pointerup', (e) => this.onDesignPointerUp(e), { signal });
+    this.surface.addEventListener('pointercancel', (e) => this.onDesignPointerUp(e), { signal });
+    
+    // Handle the GPU dropping the WebGL context (driver reset, too many contexts, ...)
+    this.renderer.domElement.addEventListener('webglcontextlost', () => this.onContextLost(), { signal });
+    this.renderer.domElement.addEventListener('webglcontextrestored', () => this.onContextRestored(), { signal });
+    
+    // Keyboard navigation on the focused canvas or pane
+    this.surface.addEventListener('keydown', (e) => this.onKeyDown(e), { signal });
+    
+    // Stop auto-rotation as soon as the user asks for reduced motion
+    this.reducedMotionQuery.addEventListener('change', () => {
+      if (this.prefersReducedMotion()) {
+        this.controls.autoRotate = false;
       }
-      
-      // Hide countdown
-      this.hideCountdown();
-    });
+    }, { signal });
     
-    this.controls.addEventListener('end', () => {
-      this.isUserInteracting = false;
-      
-      // Show and start countdown
-      this.showCountdown();
-      const startTime = Date.now();
-      const updateCountdown = () => {
-        const elapsed = Date.now() - startTime;
-        const remaining = Math.max(0, this.resetDuration - elapsed);
-        const progress = 1 - (remaining / this.resetDuration);
-        
-        if (this.resetCountdown) {
-          this.resetCountdown.querySelector('.progress').style.strokeDashoffset = 
-            (1 - progress) * (2 * Math.PI * 12); // 12 is the circle radius
-        }
-        
-        if (remaining > 0 && !this.isUserInteracting) {
-          requestAnimationFrame(updateCountdown);
-        } else if (this.isUserInteracting) {
-          this.hideCountdown();
-        }
-      };
-      
-      updateCountdown();
-      
-      // Set a timeout to return to original position/rotation
-      this.resetTimeout = setTimeout(() => {
-        this.resetToDefaultView();
-        this.hideCountdown();
-      }, this.resetDuration); // Return to default after 2 seconds of inactivity
-    });
+    // On-screen camera preset buttons
+    if (this.options.showCameraControls) {
+      this.createCameraControls();
+    }
+    
+    // Frame rate and quality tier, for debugging
+    if (this.options.showQualityOverlay) {
+      this.createQualityOverlay();
+    }
     
     // Add double-click handler for repositioning
-    this.renderer.domElement.addEventListener('dblclick', () => {
+    this.surface.addEventListener('dblclick', () => {
       this.resetToDefaultView();
-    });
+    }, { signal });
 
     // Load the 3D model from the GLB file
-    const loader = new GLTFLoader();
+    this.modelLoader = getModelLoader(this.renderer);
+    this.loadModel(this.modelUrl, { previewUrl: this.options.previewModelUrl || undefined });
+
+    // Handle container resize - catches layout changes as well as window resizes
+    this.resizeObserver = new ResizeObserver(() => this.onResize());
+    this.resizeObserver.observe(this.container);
     
-    // Track loading progress
-    const progressBar = document.getElementById('progress-bar');
+    // Pause rendering while the viewer is scrolled out of view
+    this.intersectionObserver = new IntersectionObserver((entries) => {
+      this.isInView = entries[entries.length - 1].isIntersecting;
+      this.updateRenderingState();
+    });
+    this.intersectionObserver.observe(this.container);
     
-    loader.load(
-      'glb4.glb', // Path to the model file
-      (gltf) => { // Success callback - called when model is loaded
-        this.model = gltf.scene; // Get the main scene from the loaded file
-        
-        // Enable shadows on all objects and smooth the geometry
-        this.model.traverse((node) => {
-          if (node.isMesh) {
-            node.castShadow = true;
-            node.receiveShadow = true;
-            
-            // Apply normal smoothing to make the model appear smoother with fewer visible triangles
-            if (node.geometry) {
-              node.geometry.computeVertexNormals();
-            }
-            
-            // Optimize materials for performance
-            if (node.material) {
-              // Keep original material properties
-              const originalMaterial = node.material;
-              
-              // Create optimized PBR material
-              const newMaterial = new THREE.MeshStandardMaterial({
-                map: originalMaterial.map,
-                normalMap: originalMaterial.normalMap,
-                roughnessMap: originalMaterial.roughnessMap,
-                metalnessMap: originalMaterial.metalnessMap,
-                emissiveMap: originalMaterial.emissiveMap,
-                color: originalMaterial.color,
-                metalness: originalMaterial.metalness || 0.5,
-                roughness: originalMaterial.roughness || 0.5,
-                envMapIntensity: 1.5,
-                flatShading: false // Ensure smooth shading is applied
-              });
-              
-              // Apply the new material
-              node.material = newMaterial;
-            }
-          }
-        });
-        
-        // Center the model in the scene
-        const box = new THREE.Box3().setFromObject(this.model); // Calculate bounding box
-        const center = box.getCenter(new THREE.Vector3()); // Find center point
-        this.model.position.sub(center); // Subtract center to position at origin
-        
-        // Set scale to fit view
-        const size = box.getSize(new THREE.Vector3()); // Get model dimensions
-        const maxDim = Math.max(size.x, size.y, size.z); // Find largest dimension
-        const fov = this.camera.fov * (Math.PI / 180); // Convert FOV to radians
-        let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)); // Calculate ideal distance
-        cameraZ *= 1.5; // Zoom out a bit more for margin
-        this.camera.position.z = cameraZ; // Set camera distance
-        
-        // Store the default camera position and target
-        this.defaultCameraPosition.copy(this.camera.position);
-        this.defaultTarget.copy(this.controls.target);
-        
-        // Add invisible ground plane for better shadows
-        const groundGeometry = new THREE.PlaneGeometry(100, 100);
-        const groundMaterial = new THREE.ShadowMaterial({ opacity: 0.3 });
-        const groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
-        groundPlane.rotation.x = -Math.PI / 2;
-        groundPlane.position.y = box.min.y;
-        groundPlane.receiveShadow = true;
-        this.scene.add(groundPlane);
-        
-        this.scene.add(this.model); // Add the model to the scene
-        
-        // Hide loading indicator
-        this.hideLoadingIndicator();
-        
-        // Start the render loop
-        this.animate();
-      }, 
-      (xhr) => { // Progress callback - called during loading
-        const progress = xhr.loaded / xhr.total;
-        if (progressBar) {
-          progressBar.style.width = (progress * 100) + '%';
-        }
-        console.log((progress * 100) + '% loaded'); // Log loading progress
-      },
-      (error) => { // Error callback - called if loading fails
-        console.error('An error happened while loading the model:', error);
-        this.hideLoadingIndicator();
-        this.showErrorMessage();
-      }
-    );
-
-    // Handle window resize - update camera and renderer when window size changes
-    window.addEventListener('resize', this.onWindowResize.bind(this), false);
+    // Pause rendering while the tab is hidden
+    document.addEventListener('visibilitychange', () => this.updateRenderingState(), { signal });
     
     // Add touch support - double tap to reset view
     let lastTap = 0;
-    this.renderer.domElement.addEventListener('touchend', (e) => {
+    this.surface.addEventListener('touchend', (e) => {
       const currentTime = new Date().getTime();
       const tapLength = currentTime - lastTap;
       if (tapLength < 300 && tapLength > 0) {
@@ -283,13 +318,466 @@ export default class ProductViewer {
         e.preventDefault();
       }
       lastTap = currentTime;
+    }, { signal });
+  }
+  
+  // Load a garment model and show it in place of the current one - also used by the retry button
+  // previewUrl is a lightweight version shown while the full model downloads
+  // printArea overrides the printArea option for this model, e.g. for a hoodie or tote
+  async loadModel(url = this.modelUrl, { previewUrl, printArea, duration = 600 } = {}) {
+    if (this.fallback) {
+      this.modelUrl = url; // The flat mockup only shows a tee
+      return;
+    }
+    
+    const request = { url, previewUrl, printArea, loading: null };
+    this.modelRequest = request;
+    this.modelUrl = url;
+    
+    // The preview is skipped when the full model is already cached
+    const steps = previewUrl && !this.modelCache.has(url) ? [previewUrl, url] : [url];
+    
+    // Only downloads need the loading indicator - the first one is created in init()
+    if (this.model && !this.modelCache.has(steps[0])) {
+      this.createLoadingIndicator();
+    }
+    
+    for (const stepUrl of steps) {
+      const preview = stepUrl !== url;
+      request.loading = stepUrl;
+      
+      let model;
+      try {
+        model = await this.fetchModel(stepUrl);
+      } catch (error) {
+        if (this.disposed || this.modelRequest !== request) return;
+        if (preview) {
+          console.warn('The preview model could not be loaded, waiting for the full model:', error);
+          continue;
+        }
+        console.error('An error happened while loading the model:', error);
+        const kind = this.classifyLoadError(error);
+        this.hideLoadingIndicator();
+        if (this.model) {
+          this.modelUrl = this.shownModelUrl; // Keep showing the current model
+        } else {
+          this.showErrorMessage(kind, { retry: true });
+        }
+        this.emit('error', { error, source: 'model', kind, url });
+        return;
+      }
+      
+      // Another model was requested, or the viewer was disposed, while this one was loading
+      if (this.disposed || this.modelRequest !== request) return;
+      
+      this.printArea = { ...this.options.printArea, ...printArea };
+      this.shownModelUrl = url;
+      if (model !== this.model) {
+        // Full detail replaces the preview for good, so the preview isn't kept in the cache
+        const replacesPreview = Boolean(this.model && this.model.userData.modelUrl === previewUrl && !preview);
+        this.showModel(model, duration, { discardPrevious: replacesPreview });
+      }
+      
+      // Hide loading indicator - the full model keeps downloading in the background after the preview
+      this.hideLoadingIndicator();
+      
+      // Render the first frame (and keep rendering while auto-rotating)
+      this.requestRender();
+      if (!preview) {
+        this.retryCount = 0;
+      }
+      this.emit('loaded', { url, preview });
+    }
+  }
+  
+  // Download and prepare a model once - switching back to it later is instant
+  fetchModel(url) {
+    if (!this.modelCache.has(url)) {
+      const onProgress = (xhr) => {
+        if (!this.modelRequest || this.modelRequest.loading !== url) return;
+        
+        // Chunked and compressed responses don't tell the total size
+        const progress = xhr.lengthComputable && xhr.total > 0 ? Math.min(xhr.loaded / xhr.total, 1) : null;
+        this.updateProgressBar(progress);
+        this.emit('progress', { loaded: xhr.loaded, total: progress === null ? null : xhr.total, progress });
+      };
+      
+      // Compare panes share one download and parse through their group, and each prepares its own copy
+      const promise = this.group
+        ? this.group.loadModel(url, onProgress).then((model) => this.prepareModel(model, url))
+        : new Promise((resolve, reject) => {
+          this.modelLoader.load(
+            url, // Path to the model file
+            (gltf) => resolve(this.prepareModel(gltf.scene, url)), // Success callback - called when model is loaded
+            onProgress, // Progress callback - called during loading
+            reject // Error callback - called if loading fails
+          );
+        });
+      promise.catch(() => this.modelCache.delete(url)); // Allow the retry button to download it again
+      this.modelCache.set(url, promise);
+    }
+    return this.modelCache.get(url);
+  }
+  
+  // Fill the progress bar, or let it sweep when the size is unknown
+  updateProgressBar(progress) {
+    if (!this.progressBar) return;
+    
+    this.progressBar.classList.toggle('product-viewer-progress-indeterminate', progress === null);
+    this.progressBar.style.width = progress === null ? '' : (progress * 100) + '%';
+  }
+  
+  // Free a model that won't be shown again
+  discardModel(model) {
+    this.modelCache.delete(model.userData.modelUrl);
+    model.traverse((node) => this.authoredMaterials.delete(node));
+    this.disposeModel(model);
+  }
+  
+  // Free a model's resources - a copy from a ViewerGroup only owns its materials, the group frees the rest
+  disposeModel(model) {
+    if (!model.userData.sharedResources) {
+      this.disposeObject(model);
+      return;
+    }
+    model.traverse((node) => {
+      [].concat(node.material || []).forEach((material) => material.dispose());
+    });
+  }
+  
+  // Set up a freshly loaded model - shadows, smooth normals and centering
+  prepareModel(model, url) {
+    model.userData.modelUrl = url;
+    
+    // Enable shadows on all objects and smooth the geometry
+    model.traverse((node) => {
+      if (node.isMesh) {
+        node.castShadow = true;
+        node.receiveShadow = true;
+        
+        // Smooth normals only for geometry exported without them - authored normals are kept
+        if (node.geometry && !node.geometry.attributes.normal) {
+          node.geometry.computeVertexNormals();
+        }
+        
+        // Keep the authored material so the material mode can be switched later
+        if (node.material) {
+          this.authoredMaterials.set(node, node.material);
+        }
+      }
     });
+    
+    // Center the model in the scene
+    const box = new THREE.Box3().setFromObject(model); // Calculate bounding box
+    const center = box.getCenter(new THREE.Vector3()); // Find center point
+    model.position.sub(center); // Subtract center to position at origin
+    
+    return model;
+  }
+  
+  // Put a prepared model in the scene, frame it and carry the design and color over
+  showModel(model, duration, { discardPrevious = false } = {}) {
+    const previous = this.model;
+    this.model = model;
+    
+    // Replace or keep the authored materials according to the material mode - this also applies the garment color
+    this.applyMaterialMode();
+    
+    this.scene.add(this.model); // Add the model to the scene
+    this.model.updateMatrixWorld(true); // Decals are projected in world space
+    this.modelBounds = new THREE.Box3().setFromObject(this.model); // Bounds after centering
+    
+    // A restored pose wins over the default framing, and the camera stays put when full detail replaces a preview
+    if (this.pendingCameraPose) {
+      this.frameModel(0);
+      this.setCameraPose(this.pendingCameraPose, { duration: 0 });
+      this.pendingCameraPose = null;
+    } else {
+      this.frameModel(previous ? duration : 0, { keepCamera: discardPrevious });
+    }
+    
+    // Project the design onto the new model
+    this.removeDesignDecal();
+    if (this.designUrl) {
+      this.setDesign(this.designUrl);
+    }
+    
+    if (previous) {
+      this.crossFadeModels(previous, this.model, duration, { discardPrevious });
+    }
+  }
+  
+  // Move the camera to fit the model and put the ground plane under it
+  frameModel(duration, { keepCamera = false } = {}) {
+    // Set scale to fit view
+    const size = this.modelBounds.getSize(new THREE.Vector3()); // Get model dimensions
+    const maxDim = Math.max(size.x, size.y, size.z); // Find largest dimension
+    const fov = this.camera.fov * (Math.PI / 180); // Convert FOV to radians
+    let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)); // Calculate ideal distance
+    cameraZ *= 1.5; // Zoom out a bit more for margin
+    
+    // Store the default camera position and target
+    this.defaultCameraPosition.set(0, 0, cameraZ);
+    this.defaultTarget.set(0, 0, 0); // Models are centered at the origin
+    
+    // Full detail replacing a preview leaves the camera where the user put it
+    if (!keepCamera) {
+      this.viewIsDefault = true;
+      if (duration > 0) {
+        this.tweenCamera(this.defaultCameraPosition, this.defaultTarget, duration);
+      } else {
+        this.camera.position.copy(this.defaultCameraPosition);
+        this.controls.target.copy(this.defaultTarget);
+        this.controls.update();
+      }
+    }
+    
+    // Add invisible ground plane for better shadows
+    if (!this.groundPlane) {
+      const groundGeometry = new THREE.PlaneGeometry(100, 100);
+      const groundMaterial = new THREE.ShadowMaterial({ opacity: 0.3 });
+      this.groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
+      this.groundPlane.rotation.x = -Math.PI / 2;
+      this.groundPlane.receiveShadow = true;
+      this.scene.add(this.groundPlane);
+      this.updateGroundPlane();
+    }
+    this.groundPlane.position.y = this.modelBounds.min.y;
+  }
+  
+  // Fade the previous model out while the next one fades in, then take the previous one out of the scene
+  crossFadeModels(previous, next, duration, { discardPrevious = false } = {}) {
+    if (this.finishCrossFade) {
+      this.finishCrossFade(); // Complete a fade that is still running
+    }
+    if (this.prefersReducedMotion()) {
+      duration = 0;
+    }
+    
+    // Remember how each material was set up, so it can be restored afterwards
+    const fading = [];
+    const collect = (model, fadeIn) => {
+      model.traverse((node) => {
+        if (!node.isMesh) return;
+        for (const material of [].concat(node.material)) {
+          if (fading.some((fade) => fade.material === material)) continue;
+          fading.push({ material, fadeIn, opacity: material.opacity, transparent: material.transparent, depthWrite: material.depthWrite });
+          material.transparent = true;
+          material.depthWrite = fadeIn; // The fading-out model shouldn't hide the new one
+        }
+      });
+    };
+    collect(previous, false);
+    collect(next, true);
+    
+    const finish = () => {
+      cancelAnimationFrame(this.fadeFrameId);
+      this.finishCrossFade = null;
+      for (const { material, opacity, transparent, depthWrite } of fading) {
+        material.opacity = opacity;
+        material.transparent = transparent;
+        material.depthWrite = depthWrite;
+      }
+      this.scene.remove(previous);
+      this.releaseMaterials(previous); // Stays in the model cache with its authored materials
+      if (discardPrevious) {
+        this.discardModel(previous);
+      }
+      this.requestRender();
+    };
+    this.finishCrossFade = finish;
+    
+    const startTime = Date.now();
+    const animate = () => {
+      const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+      const eased = this.easeInOutQuad(progress);
+      for (const { material, fadeIn, opacity } of fading) {
+        material.opacity = opacity * (fadeIn ? eased : 1 - eased);
+      }
+      this.requestRender();
+      
+      if (progress < 1) {
+        this.fadeFrameId = requestAnimationFrame(animate);
+      } else {
+        finish();
+      }
+    };
+    animate();
+  }
+  
+  // Stop auto-rotation and any pending reset while the user interacts
+  onInteractionStart(source) {
+    this.isUserInteracting = true;
+    if (this.group) {
+      this.group.setDriver(this); // The pane being handled moves every other pane's camera
+    }
+    this.stopIdleMotion(); // Stop auto-rotation during interaction
+    this.emit('interactionstart', { source });
+  }
+  
+  // Count down and return to the default view once the user stops interacting
+  onInteractionEnd(source) {
+    this.isUserInteracting = false;
+    this.emit('interactionend', { source });
+    
+    // Show and start countdown
+    this.showCountdown();
+    const startTime = Date.now();
+    const updateCountdown = () => {
+      const elapsed = Date.now() - startTime;
+      const remaining = Math.max(0, this.resetDuration - elapsed);
+      const progress = 1 - (remaining / this.resetDuration);
+      
+      if (this.resetCountdown) {
+        this.resetCountdown.querySelector('.progress').style.strokeDashoffset = 
+          (1 - progress) * (2 * Math.PI * 12); // 12 is the circle radius
+      }
+      
+      if (remaining > 0 && !this.isUserInteracting) {
+        this.countdownFrameId = requestAnimationFrame(updateCountdown);
+      } else if (this.isUserInteracting) {
+        this.hideCountdown();
+      }
+    };
+    
+    cancelAnimationFrame(this.countdownFrameId); // Restart a countdown that is still running
+    updateCountdown();
+    
+    // Set a timeout to return to original position/rotation
+    this.resetTimeout = setTimeout(() => {
+      this.resetToDefaultView();
+      this.hideCountdown();
+    }, this.resetDuration); // Return to default after a period of inactivity
+  }
+  
+  // Add styles shared by every viewer once - pseudo-classes can't be set inline
+  injectStyles() {
+    if (document.getElementById('product-viewer-styles')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'product-viewer-styles';
+    style.textContent = `
+      @keyframes product-viewer-spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+      .product-viewer-canvas:focus-visible {
+        outline: 2px solid var(--color-focus, rgba(255, 255, 255, 0.8));
+        outline-offset: -2px;
+      }
+      .product-viewer-quality {
+        position: absolute;
+        top: 20px;
+        right: 20px;
+        padding: 4px 8px;
+        font: 12px/1.4 monospace;
+        color: #fff;
+        background: rgba(0, 0, 0, 0.6);
+        border-radius: 4px;
+        pointer-events: none;
+        z-index: 999;
+      }
+      .product-viewer-presets {
+        position: absolute;
+        top: 20px;
+        left: 20px;
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        z-index: 999;
+      }
+      .product-viewer-presets button {
+        padding: 4px 10px;
+        font: inherit;
+        font-size: 0.75rem;
+        letter-spacing: 1px;
+        color: rgba(255, 255, 255, 0.8);
+        background-color: rgba(0, 0, 0, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 0.75em;
+        backdrop-filter: blur(5px);
+        cursor: pointer;
+      }
+      .product-viewer-presets button:hover,
+      .product-viewer-presets button:focus-visible {
+        border-color: var(--color-accent, #ffffff);
+        outline: none;
+      }
+      @keyframes product-viewer-indeterminate {
+        0% { transform: translateX(-100%); }
+        100% { transform: translateX(350%); }
+      }
+      .product-viewer-progress-indeterminate {
+        width: 30%;
+        animation: product-viewer-indeterminate 1.2s ease-in-out infinite;
+      }
+      .product-viewer-visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip-path: inset(50%);
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+  
+  // Make the canvas keyboard focusable and label it from the container's data attributes
+  setupAccessibility() {
+    const surface = this.surface;
+    const { title, label } = this.container.dataset;
+    
+    surface.classList.add('product-viewer-canvas');
+    surface.tabIndex = 0;
+    surface.setAttribute('role', 'application'); // The canvas handles its own arrow keys
+    surface.setAttribute('aria-roledescription', this.strings.roleDescription);
+    surface.setAttribute('aria-label', [title, label].filter(Boolean).join(', ') || this.strings.product);
+    
+    // Describe the keyboard controls
+    const hint = document.createElement('p');
+    hint.id = `product-viewer-hint-${this.id}`;
+    hint.className = 'product-viewer-visually-hidden';
+    hint.textContent = this.strings.keyboardHint;
+    this.container.appendChild(hint);
+    surface.setAttribute('aria-describedby', hint.id);
+    this.keyboardHint = hint;
+  }
+  
+  // Create the on-screen camera preset buttons
+  createCameraControls() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'product-viewer-presets';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', this.strings.cameraViews);
+    
+    for (const name of Object.keys(CAMERA_PRESETS)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = this.strings.cameraPresets[name];
+      button.addEventListener('click', () => this.setCameraPreset(name), { signal: this.abortController.signal });
+      toolbar.appendChild(button);
+    }
+    
+    // Reset returns to the default view and resumes auto-rotation
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.textContent = this.strings.reset;
+    resetButton.addEventListener('click', () => this.resetToDefaultView(), { signal: this.abortController.signal });
+    toolbar.appendChild(resetButton);
+    
+    this.container.appendChild(toolbar);
+    this.cameraControls = toolbar;
   }
   
   // Create minimal loading indicator
   createLoadingIndicator() {
+    if (this.loadingContainer && this.loadingContainer.parentNode) {
+      this.loadingContainer.parentNode.removeChild(this.loadingContainer);
+    }
+    
     const loadingContainer = document.createElement('div');
-    loadingContainer.id = 'loading-container';
+    loadingContainer.className = 'product-viewer-loading';
     loadingContainer.style.position = 'absolute';
     loadingContainer.style.top = '0';
     loadingContainer.style.left = '0';
@@ -300,6 +788,8 @@ export default class ProductViewer {
     loadingContainer.style.justifyContent = 'center';
     loadingContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.2)';
     loadingContainer.style.zIndex = '1000';
+    loadingContainer.setAttribute('role', 'status');
+    loadingContainer.setAttribute('aria-label', this.strings.loading);
     
     // Create a simple loading spinner
     const spinner = document.createElement('div');
@@ -308,21 +798,53 @@ export default class ProductViewer {
     spinner.style.border = '2px solid rgba(255, 255, 255, 0.3)';
     spinner.style.borderTop = '2px solid rgba(255, 255, 255, 0.8)';
     spinner.style.borderRadius = '50%';
-    spinner.style.animation = 'spin 1s linear infinite';
+    spinner.style.animation = 'product-viewer-spin 1s linear infinite';
     
-    // Add keyframes for spinner animation
-    const style = document.createElement('style');
-    style.textContent = `
-      @keyframes spin {
-        0% { transform: rotate(0deg); }
-        100% { transform: rotate(360deg); }
-      }
-    `;
-    document.head.appendChild(style);
+    // Thin progress bar along the bottom edge
+    const progressBar = document.createElement('div');
+    progressBar.style.position = 'absolute';
+    progressBar.style.left = '0';
+    progressBar.style.bottom = '0';
+    progressBar.style.width = '0';
+    progressBar.style.height = '2px';
+    progressBar.style.backgroundColor = 'var(--color-accent, rgba(255, 255, 255, 0.8))';
+    progressBar.style.transition = 'width 0.2s';
     
     loadingContainer.appendChild(spinner);
+    loadingContainer.appendChild(progressBar);
     this.container.appendChild(loadingContainer);
     this.loadingContainer = loadingContainer;
+    this.progressBar = progressBar;
+  }
+  
+  // Use the poster rendered by ProductDisplay, or create one from the poster option
+  createPoster() {
+    let poster = this.container.querySelector('[data-viewer-poster]');
+    if (!poster && this.options.poster) {
+      poster = document.createElement('img');
+      poster.src = this.options.poster;
+      poster.alt = ''; // The canvas carries the accessible description
+      poster.setAttribute('data-viewer-poster', '');
+      poster.style.position = 'absolute';
+      poster.style.inset = '0';
+      poster.style.width = '100%';
+      poster.style.height = '100%';
+      poster.style.objectFit = 'contain';
+      poster.style.pointerEvents = 'none';
+      this.container.appendChild(poster);
+    }
+    this.posterElement = poster;
+  }
+  
+  // Fade the poster out once the 3D view (or the flat mockup) is showing
+  hidePoster() {
+    const poster = this.posterElement;
+    if (!poster) return;
+    this.posterElement = null;
+    
+    poster.style.transition = 'opacity 0.3s';
+    poster.style.opacity = '0';
+    this.hidePosterTimeout = setTimeout(() => poster.remove(), 300);
   }
   
   // Create cursor countdown indicator
@@ -378,19 +900,28 @@ export default class ProductViewer {
   
   // Hide loading indicator
   hideLoadingIndicator() {
-    if (this.loadingContainer) {
-      this.loadingContainer.style.opacity = '0';
-      this.loadingContainer.style.transition = 'opacity 0.3s';
-      setTimeout(() => {
-        if (this.loadingContainer && this.loadingContainer.parentNode) {
-          this.loadingContainer.parentNode.removeChild(this.loadingContainer);
+    const loadingContainer = this.loadingContainer; // A later model switch may create a new one
+    if (loadingContainer) {
+      loadingContainer.style.opacity = '0';
+      loadingContainer.style.transition = 'opacity 0.3s';
+      this.hideLoadingTimeout = setTimeout(() => {
+        if (loadingContainer.parentNode) {
+          loadingContainer.parentNode.removeChild(loadingContainer);
         }
       }, 300);
     }
   }
   
-  // Show error message
-  showErrorMessage() {
+  // Network failures reject before a response or with an HTTP status; anything else failed while parsing
+  classifyLoadError(error) {
+    const isNetworkError = (error && error.response) || error instanceof TypeError || /fetch|network/i.test(String(error && error.message));
+    return isNetworkError ? 'network' : 'parse';
+  }
+  
+  // Show error message, optionally with a retry button
+  showErrorMessage(kind, { retry = false } = {}) {
+    this.removeErrorMessage();
+    
     const errorContainer = document.createElement('div');
     errorContainer.style.position = 'absolute';
     errorContainer.style.top = '0';
@@ -404,100 +935,972 @@ export default class ProductViewer {
     errorContainer.style.zIndex = '1000';
     
     const errorMessage = document.createElement('div');
-    errorMessage.textContent = 'Error loading 3D model. Please try again.';
+    errorMessage.setAttribute('role', 'alert');
+    errorMessage.textContent = this.strings.errors[kind];
     errorMessage.style.color = 'white';
     errorMessage.style.padding = '20px';
     errorMessage.style.backgroundColor = '#b00020';
     errorMessage.style.borderRadius = '5px';
+    errorMessage.style.textAlign = 'center';
+    
+    if (retry) {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.textContent = this.strings.retry;
+      retryButton.style.display = 'block';
+      retryButton.style.margin = '12px auto 0';
+      retryButton.style.padding = '6px 16px';
+      retryButton.style.color = 'white';
+      retryButton.style.border = '1px solid rgba(255, 255, 255, 0.8)';
+      retryButton.style.borderRadius = '5px';
+      retryButton.addEventListener('click', () => this.retryModelLoad(retryButton), { signal: this.abortController.signal });
+      errorMessage.appendChild(retryButton);
+    }
     
     errorContainer.appendChild(errorMessage);
     this.container.appendChild(errorContainer);
+    this.errorContainer = errorContainer;
   }
   
-  // Add environment map for realistic reflections
-  addEnvironmentMap() {
-    // Create a simple gradient environment
-    const envScene = new THREE.Scene();
-    
-    // Top gradient
-    const topGradient = new THREE.Mesh(
-      new THREE.SphereGeometry(5, 32, 32, 0, Math.PI * 2, 0, Math.PI / 2),
-      new THREE.MeshBasicMaterial({ 
-        color: 0x555555, // Brighter color (increased from 0x333333)
-        side: THREE.BackSide
-      })
-    );
-    envScene.add(topGradient);
-    
-    // Bottom gradient
-    const bottomGradient = new THREE.Mesh(
-      new THREE.SphereGeometry(5, 32, 32, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
-      new THREE.MeshBasicMaterial({ 
-        color: 0x222222, // Brighter color (increased from 0x111111)
-        side: THREE.BackSide
-      })
-    );
-    envScene.add(bottomGradient);
+  // Remove the error message, if one is shown
+  removeErrorMessage() {
+    if (this.errorContainer && this.errorContainer.parentNode) {
+      this.errorContainer.parentNode.removeChild(this.errorContainer);
+    }
+    this.errorContainer = null;
+  }
+  
+  // Load the model again after a delay that doubles with every attempt
+  retryModelLoad(button) {
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** this.retryCount, RETRY_MAX_DELAY);
+    this.retryCount++;
     
-    // Render the environment to a cube texture
-    const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(256);
-    cubeRenderTarget.texture.type = THREE.HalfFloatType;
+    button.disabled = true;
+    button.textContent = this.strings.retryingIn.replace('{seconds}', Math.round(delay / 1000));
     
-    const cubeCamera = new THREE.CubeCamera(0.1, 10, cubeRenderTarget);
-    cubeCamera.position.set(0, 0, 0);
-    cubeCamera.update(this.renderer, envScene);
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => {
+      this.removeErrorMessage();
+      this.createLoadingIndicator();
+      const { url, previewUrl, printArea } = this.modelRequest;
+      this.loadModel(url, { previewUrl, printArea });
+    }, delay);
+  }
+  
+  // Stop rendering until the browser gives the WebGL context back
+  onContextLost() {
+    this.contextLost = true;
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
     
-    // Set the environment map for the scene
-    this.scene.environment = cubeRenderTarget.texture;
+    this.showErrorMessage('contextlost');
+    this.emit('error', { error: new Error('WebGL context lost'), source: 'webgl', kind: 'contextlost' });
   }
-
-  // Reset camera to default position and rotation
-  resetToDefaultView() {
-    if (this.isUserInteracting) return; // Don't reset if user is still interacting
+  
+  // Rebuild what lived only on the GPU and resume rendering
+  onContextRestored() {
+    this.contextLost = false;
+    this.removeErrorMessage();
     
-    // Enable auto-rotation again
-    this.controls.autoRotate = true;
+    // The environment map was rendered on the GPU, so render it again
+    this.applyLighting();
+  }
+  
+  // Replace the 3D view with a flat mockup when WebGL can't be used
+  enterFallbackMode() {
+    this.fallback = true;
+    this.hideLoadingIndicator();
     
-    // Smoothly animate back to default position
-    const duration = 1000; // Animation duration in ms
-    const startTime = Date.now();
+    const canvas = document.createElement('canvas');
+    canvas.style.height = '100%';
+    canvas.style.maxWidth = '100%';
+    canvas.style.objectFit = 'contain';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', [this.container.dataset.title, this.container.dataset.label].filter(Boolean).join(', ') || this.strings.product);
+    this.container.appendChild(canvas);
+    this.fallbackCanvas = canvas;
     
-    const startPosition = new THREE.Vector3().copy(this.camera.position);
-    const startTarget = new THREE.Vector3().copy(this.controls.target);
+    this.renderFallback();
+  }
+  
+  // Redraw the flat mockup with the current design, placement and color
+  renderFallback() {
+    if (!this.fallbackCanvas) return;
     
-    const animate = () => {
-      if (this.isUserInteracting) return; // Stop animation if user interacts
-      
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1); // Clamp between 0-1
-      
-      // Use smooth easing
-      const eased = this.easeInOutQuad(progress);
-      
-      // Interpolate camera position
-      this.camera.position.lerpVectors(
-        startPosition,
-        this.defaultCameraPosition, 
-        eased
-      );
-      
-      // Interpolate target
-      this.controls.target.lerpVectors(
-        startTarget,
-        this.defaultTarget,
-        eased
-      );
-      
-      // Update controls
-      this.controls.update();
-      
-      // Continue animation if not complete
-      if (progress < 1) {
-        requestAnimationFrame(animate);
+    const url = this.designUrl;
+    renderFallbackMockup(this.fallbackCanvas, {
+      color: this.garmentColor && this.garmentColor.color,
+      designUrl: url,
+      placement: this.designPlacement
+    }).then((image) => {
+      if (this.designUrl === url) {
+        this.shownDesign = image ? { url, image } : null;
+        // The image size is only known now - draw again if the design had to move into the print area
+        if (this.keepDesignInPrintArea()) {
+          this.renderFallback();
+        }
       }
-    };
-    
-    animate();
+      this.hidePoster();
+    }, (error) => {
+      console.error('An error happened while drawing the mockup:', error);
+    });
+  }
+  
+  // Switch to another lighting preset
+  setLighting(name) {
+    if (!Object.hasOwn(LIGHTING_PRESETS, name)) {
+      throw new TypeError(`ProductViewer: unknown lighting preset "${name}"`);
+    }
+    
+    this.lighting = name;
+    if (this.renderer) {
+      this.applyLighting();
+    }
+    this.emit('lightingchange', { lighting: name });
+  }
+  
+  // Apply the current lighting preset to the renderer, lights and scene
+  applyLighting() {
+    if (this.contextLost) return; // Applied again once the context is restored
+    
+    const preset = LIGHTING_PRESETS[this.lighting];
+    this.toneMapping = TONE_MAPPINGS[preset.toneMapping]; // Kept per viewer, a group's panes share one renderer
+    this.toneMappingExposure = preset.exposure;
+    this.renderer.toneMapping = this.toneMapping;
+    this.renderer.toneMappingExposure = this.toneMappingExposure;
+    
+    // Preset intensities scale the intensity options, so per-product tuning still applies
+    for (const [name, light] of Object.entries(this.lights)) {
+      const { intensity, color = 0xffffff } = preset.lights[name];
+      light.intensity = this.options[`${name}LightIntensity`] * intensity;
+      light.color.set(color);
+    }
+    this.lights.key.castShadow = preset.shadow > 0;
+    
+    this.updateEnvironment(preset);
+    this.updateBackground(preset);
+    this.updateGroundPlane();
+    this.requestRender();
+  }
+  
+  // Show the gradient environment right away, then swap in the preset's HDR/EXR file once it has loaded
+  async updateEnvironment(preset) {
+    const size = this.qualityTier.environmentSize;
+    const gradientScene = createGradientScene(preset.environment);
+    this.setEnvironment(this.pmremGenerator.fromScene(gradientScene, 0.04, 0.1, 100, { size }));
+    this.disposeObject(gradientScene); // The gradient spheres are only needed to render the map
+    
+    const { url } = preset.environment;
+    if (!url) return;
+    
+    let texture;
+    try {
+      texture = await loadEnvironmentTexture(url);
+    } catch (error) {
+      if (this.disposed) return;
+      console.error('An error happened while loading the environment, keeping the gradient:', error);
+      this.emit('error', { error, source: 'environment', kind: this.classifyLoadError(error), url });
+      return;
+    }
+    
+    // Another preset was chosen, the context was lost or the viewer was disposed while loading
+    if (LIGHTING_PRESETS[this.lighting] !== preset || this.contextLost || this.disposed) return;
+    
+    // Render the file as a scene background, so the map comes out at the quality tier's size
+    const environmentScene = new THREE.Scene();
+    environmentScene.background = texture;
+    this.setEnvironment(this.pmremGenerator.fromScene(environmentScene, 0, 0.1, 100, { size }));
+    this.requestRender();
+  }
+  
+  // Use a prefiltered environment map for reflections, and as the background if the preset shows it
+  setEnvironment(target) {
+    const previous = this.environmentTarget;
+    this.environmentTarget = target;
+    this.scene.environment = target.texture;
+    if (LIGHTING_PRESETS[this.lighting].background.type === 'environment') {
+      this.scene.background = target.texture;
+    }
+    if (previous) {
+      previous.dispose();
+    }
+  }
+  
+  // Set the scene background for a lighting preset
+  updateBackground(preset) {
+    const { background } = preset;
+    if (this.backgroundTexture) {
+      this.backgroundTexture.dispose();
+      this.backgroundTexture = null;
+    }
+    this.scene.backgroundBlurriness = 0;
+    this.scene.backgroundIntensity = 1;
+    
+    switch (background.type) {
+      case 'color':
+        this.scene.background = new THREE.Color(background.color ?? this.options.background);
+        break;
+      case 'gradient':
+        this.backgroundTexture = createGradientBackground(background);
+        this.scene.background = this.backgroundTexture;
+        break;
+      case 'environment':
+        this.scene.background = this.environmentTarget.texture;
+        this.scene.backgroundBlurriness = background.blurriness;
+        this.scene.backgroundIntensity = background.intensity ?? 1;
+        break;
+      case 'transparent':
+        this.scene.background = null; // The page shows through the canvas
+        break;
+    }
+  }
+  
+  // Show the ground shadow at the preset's strength, or hide the plane
+  updateGroundPlane() {
+    if (!this.groundPlane) return;
+    
+    const opacity = LIGHTING_PRESETS[this.lighting].shadow;
+    this.groundPlane.visible = opacity > 0;
+    this.groundPlane.material.opacity = opacity;
+  }
+
+  // Load a design image and project it onto the garment's print area
+  async setDesign(url) {
+    this.designUrl = url;
+    if (this.fallback) {
+      this.renderFallback();
+      this.emit('designchange', { url, placement: this.getDesignPlacement() });
+      return;
+    }
+    if (!this.model) return; // Applied once the model has loaded
+    
+    if (!url) {
+      this.removeDesignDecal();
+      this.requestRender();
+      this.emit('designchange', { url: null, placement: this.getDesignPlacement() });
+      return;
+    }
+    
+    let texture;
+    try {
+      texture = await this.textureLoader.loadAsync(url);
+    } catch (error) {
+      if (this.disposed) return;
+      console.error('An error happened while loading the design:', error);
+      // The previous design stays on the garment, so it stays the requested one too
+      if (this.designUrl === url) {
+        this.designUrl = this.shownDesign ? this.shownDesign.url : null;
+      }
+      this.emit('error', { error, source: 'design', url });
+      return;
+    }
+    
+    // A newer design was requested, or the viewer was disposed, while this one was loading
+    if (this.designUrl !== url || this.disposed) {
+      texture.dispose();
+      return;
+    }
+    
+    texture.colorSpace = THREE.SRGBColorSpace; // Design images are authored in sRGB
+    texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy(); // Keep the print sharp at grazing angles
+    
+    this.removeDesignDecal();
+    this.keepDesignInPrintArea(texture.image);
+    this.designDecal = this.createDesignDecal(texture);
+    if (this.designDecal) {
+      this.shownDesign = { url, image: texture.image };
+      this.scene.add(this.designDecal);
+      this.requestRender();
+      this.emit('designchange', { url, placement: this.getDesignPlacement() });
+    } else {
+      texture.dispose();
+    }
+  }
+  
+  // Create a decal mesh for the design texture at the current placement
+  createDesignDecal(texture) {
+    const geometry = this.createDecalGeometry(texture);
+    if (!geometry) return null;
+    
+    const material = new THREE.MeshStandardMaterial({
+      map: texture,
+      transparent: true, // Designs are PNGs with transparent backgrounds
+      depthWrite: false,
+      polygonOffset: true, // Avoid z-fighting with the garment surface
+      polygonOffsetFactor: -4,
+      roughness: 0.9, // Printed ink is matte
+      metalness: 0
+    });
+    
+    const decal = new THREE.Mesh(geometry, material);
+    decal.receiveShadow = true;
+    return decal;
+  }
+  
+  // Project the design onto the front of the garment at the current placement
+  createDecalGeometry(texture) {
+    const region = this.getPrintRegion();
+    const { offset, scale, rotation } = this.designPlacement;
+    
+    // Cast a ray from in front of the model to find the garment surface under the design center
+    const origin = new THREE.Vector3(
+      region.x + offset.x * region.width,
+      region.y + offset.y * region.height,
+      this.modelBounds.max.z + 1
+    );
+    this.raycaster.set(origin, new THREE.Vector3(0, 0, -1));
+    const hit = this.raycaster.intersectObject(this.model, true).find((intersection) => intersection.object.isMesh);
+    if (!hit) {
+      console.warn('Could not find the print area on the model');
+      return null;
+    }
+    
+    // Keep the image aspect ratio; depth only reaches the front of the garment
+    const width = region.width * scale;
+    const aspect = texture.image.height / texture.image.width;
+    const decalSize = new THREE.Vector3(width, width * aspect, region.depth * 0.5);
+    
+    return new DecalGeometry(hit.object, hit.point, new THREE.Euler(0, 0, rotation), decalSize);
+  }
+  
+  // Rebuild the decal geometry after the placement changed
+  updateDesignDecal() {
+    if (!this.designDecal) return;
+    
+    const geometry = this.createDecalGeometry(this.designDecal.material.map);
+    if (!geometry) return;
+    
+    this.designDecal.geometry.dispose();
+    this.designDecal.geometry = geometry;
+    this.requestRender();
+  }
+  
+  // Print area in world units, derived from the model bounds and the printArea option
+  getPrintRegion() {
+    const size = this.modelBounds.getSize(new THREE.Vector3());
+    const center = this.modelBounds.getCenter(new THREE.Vector3());
+    return {
+      x: center.x + this.printArea.x * size.x, // Center of the print area
+      y: center.y + this.printArea.y * size.y,
+      width: this.printArea.width * size.x,
+      height: this.printArea.height * size.y,
+      depth: size.z
+    };
+  }
+  
+  // Move, scale or rotate the design - the whole design is kept inside the print area
+  setDesignPlacement({ offset, scale, rotation } = {}) {
+    const placement = this.designPlacement;
+    if (offset) {
+      placement.offset.x = THREE.MathUtils.clamp(offset.x ?? placement.offset.x, -MAX_DESIGN_OFFSET, MAX_DESIGN_OFFSET);
+      placement.offset.y = THREE.MathUtils.clamp(offset.y ?? placement.offset.y, -MAX_DESIGN_OFFSET, MAX_DESIGN_OFFSET);
+    }
+    if (scale !== undefined) {
+      placement.scale = THREE.MathUtils.clamp(scale, MIN_DESIGN_SCALE, MAX_DESIGN_SCALE);
+    }
+    if (rotation !== undefined) {
+      placement.rotation = rotation;
+    }
+    this.keepDesignInPrintArea();
+    
+    if (this.model) {
+      this.updateDesignDecal();
+    } else if (this.fallback) {
+      this.renderFallback();
+    }
+  }
+  
+  // Shrink and move the placement so the whole image fits the print area - true when it changed
+  // Uses the shown design's image unless the image about to be shown is passed
+  keepDesignInPrintArea(image = this.shownDesign && this.shownDesign.image) {
+    if (!image) return false;
+    
+    const { width, height } = this.options.printSizeCm; // The print file is what has to fit
+    const aspect = (image.naturalHeight || image.height) / (image.naturalWidth || image.width);
+    const fitted = fitDesignPlacement(this.designPlacement, aspect, height / width);
+    const { offset, scale } = this.designPlacement;
+    if (fitted.scale === scale && fitted.offset.x === offset.x && fitted.offset.y === offset.y) {
+      return false;
+    }
+    
+    this.designPlacement = fitted;
+    return true;
+  }
+  
+  // Current design placement: offset relative to the print area, scale relative to its width, rotation in radians
+  getDesignPlacement() {
+    const { offset, scale, rotation } = this.designPlacement;
+    return { offset: { ...offset }, scale, rotation };
+  }
+  
+  // Put the design back in the center of the print area
+  resetDesignPlacement() {
+    this.setDesignPlacement({ offset: { x: 0, y: 0 }, scale: 1, rotation: 0 });
+  }
+  
+  // Snapshot of the current design for exporters and orders - null until a design is shown
+  // Works without WebGL too, the flat mockup shows the same design and placement
+  getDesignState() {
+    if (!this.shownDesign) return null;
+    
+    const { url, image } = this.shownDesign;
+    return {
+      url,
+      image,
+      imageWidth: image.naturalWidth || image.width,
+      imageHeight: image.naturalHeight || image.height,
+      placement: this.getDesignPlacement(),
+      printSizeCm: { ...this.options.printSizeCm }
+    };
+  }
+  
+  // Export the placed design as a flat print PNG with its placement spec
+  async exportPrintFile(options = {}) {
+    const state = this.getDesignState();
+    if (!state) {
+      throw new Error('ProductViewer: there is no design to export');
+    }
+    return exportPrintFile(state.image, state, { strings: this.strings.printWarnings, ...options });
+  }
+  
+  // Render a still at any size without changing the on-screen view
+  // view is a camera preset name, or null for the current camera; transparent drops the background
+  renderStill({ width, height, transparent = false, view = null }) {
+    if (!this.model || this.contextLost) {
+      throw new Error('ProductViewer: the 3D view is not ready to export');
+    }
+    const maxSize = this.renderer.capabilities.maxTextureSize;
+    if (![width, height].every((size) => Number.isInteger(size) && size > 0 && size <= maxSize)) {
+      throw new RangeError(`ProductViewer: export sizes must be whole pixels between 1 and ${maxSize}`);
+    }
+    
+    const camera = this.camera.clone();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    if (view) {
+      const { position, target } = this.getPresetView(view);
+      camera.position.copy(position);
+      camera.lookAt(target);
+    }
+    
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const pixelRatio = this.renderer.getPixelRatio();
+    const background = this.scene.background;
+    if (transparent) {
+      this.scene.background = null;
+    }
+    
+    try {
+      // Render into the viewer's own canvas at the export size and copy it before the browser paints
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(width, height, false);
+      this.renderer.setScissorTest(false); // A group's canvas is drawn pane by pane
+      this.renderer.toneMapping = this.toneMapping;
+      this.renderer.toneMappingExposure = this.toneMappingExposure;
+      this.drawScene(camera);
+      
+      const still = document.createElement('canvas');
+      still.width = width;
+      still.height = height;
+      still.getContext('2d').drawImage(this.renderer.domElement, 0, 0);
+      return still;
+    } finally {
+      this.scene.background = background;
+      this.renderer.setPixelRatio(pixelRatio);
+      this.renderer.setSize(size.x, size.y, false);
+      // Put the live view back - resizing cleared the whole canvas, so a group redraws every pane
+      if (this.group) {
+        this.group.render();
+      } else {
+        this.drawScene(this.camera);
+      }
+    }
+  }
+  
+  // Export a high-resolution PNG of the current view, or of a camera preset
+  async exportImage({ width = 2048, height = width, transparent = false, view = null } = {}) {
+    return canvasToBlob(this.renderStill({ width, height, transparent, view }));
+  }
+  
+  // Export one PNG with the garment from several camera presets side by side
+  async exportMockupSheet({ views = ['front', 'right', 'back'], width = 1024, height = 1280, transparent = false, gap = 0 } = {}) {
+    const stills = views.map((view) => this.renderStill({ width, height, transparent, view }));
+    return canvasToBlob(composeMockupSheet(stills, { gap }));
+  }
+  
+  // Record one full turn around the garment as a WebM video, at the canvas' on-screen size
+  async recordTurntable({ duration = 8000, fps = 30 } = {}) {
+    if (!this.model || this.contextLost) {
+      throw new Error('ProductViewer: the 3D view is not ready to record');
+    }
+    if (this.recording) {
+      throw new Error('ProductViewer: a turntable video is already recording');
+    }
+    if (this.group) {
+      throw new Error('ProductViewer: turntable videos can\'t be recorded from a compare pane');
+    }
+    
+    // Take the camera over for the recording
+    this.recording = true;
+    this.stopIdleMotion();
+    cancelAnimationFrame(this.tweenFrameId);
+    this.controls.enabled = false;
+    
+    const target = this.controls.target.clone();
+    const startPosition = this.camera.position.clone();
+    const start = new THREE.Spherical().setFromVector3(startPosition.clone().sub(target));
+    const spherical = start.clone();
+    
+    try {
+      return await recordCanvas(this.renderer.domElement, {
+        duration,
+        fps,
+        signal: this.abortController.signal, // Stops when the viewer is disposed
+        onFrame: (progress) => {
+          spherical.theta = start.theta + progress * Math.PI * 2;
+          this.camera.position.setFromSpherical(spherical).add(target);
+          this.camera.lookAt(target);
+          this.drawScene(this.camera); // Also while scrolled out of view
+        }
+      });
+    } finally {
+      this.recording = false;
+      if (!this.disposed) {
+        this.camera.position.copy(startPosition);
+        this.controls.enabled = true;
+        this.controls.update();
+        this.requestRender();
+      }
+    }
+  }
+  
+  // Find the front of the garment under the pointer
+  raycastPointer(event, object) {
+    const rect = this.surface.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    
+    const hit = this.raycaster.intersectObject(object, true)[0];
+    if (!hit || !hit.face) return null;
+    
+    // Designs are projected onto the front, so ignore hits on the sides and back
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    return normal.z > 0 ? hit : null;
+  }
+  
+  // Start dragging when the pointer goes down on the design
+  onDesignPointerDown(event) {
+    if (event.target !== this.surface) return; // Ignore overlay buttons
+    if (!this.designDecal || !this.model || event.button !== 0) return;
+    if (!this.raycastPointer(event, this.designDecal)) return;
+    
+    const hit = this.raycastPointer(event, this.model);
+    if (!hit) return;
+    
+    // Keep OrbitControls from seeing this gesture and suspend them during the drag
+    event.stopPropagation();
+    this.controls.enabled = false;
+    this.surface.setPointerCapture(event.pointerId);
+    this.surface.style.cursor = 'grabbing';
+    this.onInteractionStart('design');
+    
+    // Remember where the design was grabbed so it doesn't jump to the pointer
+    const region = this.getPrintRegion();
+    this.designDrag = {
+      pointerId: event.pointerId,
+      grabOffset: {
+        x: this.designPlacement.offset.x - (hit.point.x - region.x) / region.width,
+        y: this.designPlacement.offset.y - (hit.point.y - region.y) / region.height
+      }
+    };
+  }
+  
+  // Drag the design across the garment, or show that it can be grabbed
+  onDesignPointerMove(event) {
+    if (!this.designDecal || !this.model) return;
+    
+    if (!this.designDrag) {
+      const overDesign = this.controls.enabled && this.raycastPointer(event, this.designDecal);
+      this.surface.style.cursor = overDesign ? 'grab' : '';
+      return;
+    }
+    if (event.pointerId !== this.designDrag.pointerId) return;
+    
+    const hit = this.raycastPointer(event, this.model);
+    if (!hit) return;
+    
+    const region = this.getPrintRegion();
+    this.setDesignPlacement({
+      offset: {
+        x: (hit.point.x - region.x) / region.width + this.designDrag.grabOffset.x,
+        y: (hit.point.y - region.y) / region.height + this.designDrag.grabOffset.y
+      }
+    });
+  }
+  
+  // Drop the design and hand control back to OrbitControls
+  onDesignPointerUp(event) {
+    if (!this.designDrag || event.pointerId !== this.designDrag.pointerId) return;
+    
+    this.designDrag = null;
+    this.controls.enabled = true;
+    this.surface.style.cursor = '';
+    this.onInteractionEnd('design');
+  }
+  
+  // Remove the current design decal and free its resources
+  removeDesignDecal() {
+    if (!this.designDecal) return;
+    
+    this.scene.remove(this.designDecal);
+    this.disposeObject(this.designDecal);
+    this.designDecal = null;
+    this.shownDesign = null;
+  }
+  
+  // Free the geometries, materials and textures of an object and its children
+  disposeObject(object) {
+    object.traverse((node) => {
+      if (node.geometry) {
+        node.geometry.dispose();
+      }
+      
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      for (const material of materials) {
+        if (!material) continue;
+        
+        // Free every texture slot (map, normalMap, roughnessMap, ...)
+        for (const value of Object.values(material)) {
+          if (value && value.isTexture) {
+            value.dispose();
+          }
+        }
+        material.dispose();
+      }
+    });
+  }
+
+  // Switch between the authored glTF materials, the standard PBR material and fabric presets
+  setMaterialMode(mode) {
+    if (!MATERIAL_MODES.includes(mode)) {
+      throw new TypeError(`ProductViewer: unknown material mode "${mode}"`);
+    }
+    
+    this.materialMode = mode;
+    if (this.model) {
+      if (this.finishCrossFade) {
+        this.finishCrossFade(); // The fade tracks the materials that are about to be replaced
+      }
+      this.applyMaterialMode();
+      this.requestRender();
+    }
+  }
+  
+  // Give every mesh of the current model the material for the current mode
+  applyMaterialMode() {
+    if (!this.model) return;
+    
+    // Start from the authored materials, freeing the ones created for the previous mode
+    this.releaseMaterials(this.model);
+    
+    const replacements = new Map(); // Authored material -> replacement, so shared materials stay shared
+    const convert = (material) => {
+      if (!replacements.has(material)) {
+        replacements.set(material, createGarmentMaterial(material, this.materialMode));
+      }
+      return replacements.get(material);
+    };
+    
+    this.model.traverse((node) => {
+      const authored = this.authoredMaterials.get(node);
+      if (authored) {
+        node.material = Array.isArray(authored) ? authored.map(convert) : convert(authored);
+      }
+    });
+    this.garmentMaterials = [...new Set(replacements.values())].filter((material) => material.color);
+    
+    // Keep the chosen garment color
+    if (this.garmentColor) {
+      const color = new THREE.Color(this.garmentColor.color);
+      this.garmentMaterials.forEach((material) => material.color.copy(color));
+    }
+  }
+  
+  // Put the authored materials back on a model and free the ones created for a material mode
+  // Their textures belong to the authored materials, so only the materials themselves are disposed
+  releaseMaterials(model) {
+    model.traverse((node) => {
+      const authored = this.authoredMaterials.get(node);
+      if (!authored) return;
+      
+      const authoredList = [].concat(authored);
+      for (const material of [].concat(node.material)) {
+        if (!authoredList.includes(material)) {
+          material.dispose();
+        }
+      }
+      node.material = authored;
+    });
+  }
+  
+  // Recolor the garment without touching the printed design
+  setGarmentColor(color, { name = null, duration = 400 } = {}) {
+    const target = new THREE.Color(color);
+    if (this.prefersReducedMotion()) {
+      duration = 0;
+    }
+    this.garmentColor = { color: '#' + target.getHexString(), name };
+    
+    if (this.model) {
+      this.applyGarmentColor(target, duration);
+    } else if (this.fallback) {
+      this.renderFallback();
+    }
+    
+    // Let the surrounding page update price and availability
+    this.emit('colorchange', { ...this.garmentColor });
+  }
+  
+  // Animate the garment materials from their current color to the target color
+  applyGarmentColor(target, duration) {
+    cancelAnimationFrame(this.colorFrameId); // Replace a transition that is still running
+    
+    const startColors = this.garmentMaterials.map((material) => material.color.clone());
+    const startTime = Date.now();
+    
+    const animate = () => {
+      const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+      const eased = this.easeInOutQuad(progress);
+      
+      this.garmentMaterials.forEach((material, index) => {
+        material.color.lerpColors(startColors[index], target, eased);
+      });
+      this.requestRender();
+      
+      if (progress < 1) {
+        this.colorFrameId = requestAnimationFrame(animate);
+      }
+    };
+    
+    animate();
+  }
+
+  // Reset camera to default position and rotation
+  resetToDefaultView() {
+    if (this.isUserInteracting || this.fallback) return; // Don't reset if user is still interacting
+    
+    // Enable auto-rotation again
+    this.controls.autoRotate = this.options.autoRotate && !this.prefersReducedMotion();
+    
+    // Smoothly animate back to default position
+    this.viewIsDefault = true;
+    this.tweenCamera(this.defaultCameraPosition, this.defaultTarget);
+    this.emit('reset', {});
+  }
+  
+  // Move the camera to a named preset (front, back, left, right or detail)
+  setCameraPreset(name) {
+    const view = this.getPresetView(name);
+    if (!view) return;
+    
+    this.stopIdleMotion(); // Stay on the chosen view
+    this.tweenCamera(view.position, view.target);
+  }
+  
+  // Camera position and target of a named preset, or null before the model has loaded
+  getPresetView(name) {
+    const preset = CAMERA_PRESETS[name];
+    if (!preset) {
+      throw new Error(`ProductViewer: unknown camera preset "${name}"`);
+    }
+    if (!this.model) return null;
+    
+    // The detail view looks at the center of the print area
+    const target = this.defaultTarget.clone();
+    if (preset.focus === 'print') {
+      const region = this.getPrintRegion();
+      target.x = region.x;
+      target.y = region.y;
+    }
+    
+    const distance = this.defaultCameraPosition.distanceTo(this.defaultTarget) * preset.distance;
+    return { position: this.orbitPosition(target, preset.azimuth, preset.polar, distance), target };
+  }
+  
+  // Position on a sphere around the target, clamped to the orbit limits
+  orbitPosition(target, azimuth, polar, distance) {
+    const spherical = new THREE.Spherical(
+      THREE.MathUtils.clamp(distance, this.controls.minDistance, this.controls.maxDistance),
+      THREE.MathUtils.clamp(polar, this.controls.minPolarAngle, this.controls.maxPolarAngle),
+      azimuth
+    );
+    return new THREE.Vector3().setFromSpherical(spherical).add(target);
+  }
+  
+  // Camera pose for sharing - zoom is relative to the default view, so it carries over between models
+  // Null while the camera shows the default view
+  getCameraPose() {
+    if (this.viewIsDefault || !this.model) return null;
+    
+    const defaultDistance = this.defaultCameraPosition.distanceTo(this.defaultTarget);
+    const distance = this.camera.position.distanceTo(this.controls.target);
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      zoom: defaultDistance / distance
+    };
+  }
+  
+  // Move the camera to a saved pose - the direction comes from position and target, the distance from zoom
+  // The pose is clamped to the orbit limits and the model bounds
+  setCameraPose({ position, target, zoom = 1 }, { duration = 1000 } = {}) {
+    const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    if (!isVector(position) || !isVector(target) || !(zoom > 0) || !Number.isFinite(zoom)) {
+      throw new TypeError('ProductViewer: a camera pose needs position and target [x, y, z] arrays and a positive zoom');
+    }
+    if (this.fallback) return;
+    if (!this.model) {
+      this.pendingCameraPose = { position, target, zoom }; // Applied when the model is shown
+      return;
+    }
+    
+    const endTarget = this.modelBounds.clampPoint(new THREE.Vector3().fromArray(target), new THREE.Vector3());
+    const direction = new THREE.Spherical().setFromVector3(new THREE.Vector3().fromArray(position).sub(endTarget));
+    const distance = this.defaultCameraPosition.distanceTo(this.defaultTarget) / zoom;
+    
+    this.stopIdleMotion(); // Stay on the restored view
+    this.tweenCamera(this.orbitPosition(endTarget, direction.theta, direction.phi, distance), endTarget, duration);
+  }
+  
+  // Shareable state - design, garment color, model and camera pose
+  getViewState() {
+    return {
+      design: this.designUrl || null,
+      color: this.garmentColor ? this.garmentColor.color : null,
+      modelUrl: this.modelUrl,
+      camera: this.getCameraPose()
+    };
+  }
+  
+  // Ease the camera to a new position and target, orbiting around the target on the way
+  tweenCamera(endPosition, endTarget, duration = 1000) {
+    if (this.prefersReducedMotion()) {
+      duration = 0; // Jump straight to the new view
+    }
+    
+    const startTime = Date.now();
+    const startTarget = this.controls.target.clone();
+    const endTargetCopy = endTarget.clone();
+    
+    // Interpolate in spherical coordinates so the camera never passes through the model
+    const start = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(startTarget));
+    const end = new THREE.Spherical().setFromVector3(endPosition.clone().sub(endTargetCopy));
+    const thetaDelta = THREE.MathUtils.euclideanModulo(end.theta - start.theta + Math.PI, Math.PI * 2) - Math.PI; // Shortest way round
+    const spherical = new THREE.Spherical();
+    
+    if (this.group) {
+      this.group.setDriver(this); // Every pane follows the tween
+    }
+    
+    const animate = () => {
+      if (this.isUserInteracting) return; // Stop animation if user interacts
+      
+      const elapsed = Date.now() - startTime;
+      const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1; // Clamp between 0-1
+      
+      // Use smooth easing
+      const eased = this.easeInOutQuad(progress);
+      
+      // Interpolate target
+      this.controls.target.lerpVectors(startTarget, endTargetCopy, eased);
+      
+      // Interpolate camera position around the target
+      spherical.set(
+        THREE.MathUtils.lerp(start.radius, end.radius, eased),
+        THREE.MathUtils.lerp(start.phi, end.phi, eased),
+        start.theta + thetaDelta * eased
+      );
+      this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+      
+      // Update controls
+      this.controls.update();
+      this.requestRender();
+      
+      // Continue animation if not complete
+      if (progress < 1) {
+        this.tweenFrameId = requestAnimationFrame(animate);
+      } else {
+        this.emit('camerachange', { pose: this.getCameraPose() });
+      }
+    };
+    
+    cancelAnimationFrame(this.tweenFrameId); // Replace a tween that is still running
+    animate();
+  }
+  
+  // Stop auto-rotation and a pending return to the default view
+  stopIdleMotion() {
+    this.controls.autoRotate = false;
+    this.viewIsDefault = false; // Every caller moves the camera away from the default view
+    
+    // Clear any existing timeout
+    if (this.resetTimeout) {
+      clearTimeout(this.resetTimeout);
+      this.resetTimeout = null;
+    }
+    
+    // Hide countdown
+    cancelAnimationFrame(this.countdownFrameId);
+    this.hideCountdown();
+  }
+  
+  // Keyboard navigation: arrows orbit, +/- zoom, Home resets
+  onKeyDown(event) {
+    if (!this.model || event.altKey || event.ctrlKey || event.metaKey) return;
+    
+    const target = this.controls.target.clone();
+    const spherical = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(target));
+    
+    switch (event.key) {
+      case 'ArrowLeft':
+        spherical.theta -= KEYBOARD_ROTATE_STEP;
+        break;
+      case 'ArrowRight':
+        spherical.theta += KEYBOARD_ROTATE_STEP;
+        break;
+      case 'ArrowUp':
+        spherical.phi -= KEYBOARD_ROTATE_STEP;
+        break;
+      case 'ArrowDown':
+        spherical.phi += KEYBOARD_ROTATE_STEP;
+        break;
+      case '+':
+      case '=':
+        spherical.radius *= KEYBOARD_ZOOM_FACTOR;
+        break;
+      case '-':
+      case '_':
+        spherical.radius /= KEYBOARD_ZOOM_FACTOR;
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.resetToDefaultView();
+        return;
+      default:
+        return;
+    }
+    
+    event.preventDefault(); // Keep the page from scrolling
+    this.stopIdleMotion();
+    this.tweenCamera(this.orbitPosition(target, spherical.theta, spherical.phi, spherical.radius), target, 200);
+  }
+  
+  // Whether the user asked the system to minimize motion
+  prefersReducedMotion() {
+    return this.reducedMotionQuery.matches;
   }
   
   // Easing function for smooth transition
@@ -506,21 +1909,85 @@ export default class ProductViewer {
   }
 
   // Update camera and renderer when container size changes
-  onWindowResize() {
-    this.camera.aspect = this.container.clientWidth / this.container.clientHeight; // Update aspect ratio
+  onResize() {
+    const { clientWidth, clientHeight } = this.container;
+    if (clientWidth === 0 || clientHeight === 0) return; // Hidden containers have no size
+    
+    this.camera.aspect = clientWidth / clientHeight; // Update aspect ratio
     this.camera.updateProjectionMatrix(); // Apply the new aspect ratio
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight); // Resize renderer
+    if (!this.group) {
+      this.renderer.setSize(clientWidth, clientHeight); // Resize renderer - a group sizes its shared canvas itself
+    }
+    this.requestRender();
+  }
+  
+  // Whether rendering is paused because the viewer can't be seen
+  isRenderingPaused() {
+    return !this.isInView || document.hidden;
+  }
+  
+  // Stop or resume the render loop after a visibility change
+  updateRenderingState() {
+    if (this.isRenderingPaused()) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+      this.frameFollowsPrevious = false;
+      if (this.quality) {
+        this.quality.reset(); // Frames from before the pause say little about the frames after it
+      }
+    } else {
+      this.clock.getDelta(); // Don't count the paused time as one long frame
+      this.requestRender();
+    }
+  }
+  
+  // Schedule a frame unless one is already pending or rendering is paused
+  requestRender() {
+    if (this.disposed || this.fallback || this.contextLost) return;
+    if (this.animationFrameId !== null || this.isRenderingPaused()) return;
+    if (this.group) {
+      this.group.requestRender(); // One frame loop draws every pane
+      return;
+    }
+    this.animationFrameId = requestAnimationFrame(this.animate);
+  }
+  
+  // Draw the scene - into this viewer's region of the canvas when it's part of a group
+  renderFrame() {
+    if (this.group) {
+      this.group.renderPane(this);
+    } else {
+      this.drawScene(this.camera);
+    }
+  }
+  
+  // Draw the scene from a camera into the renderer's current viewport, antialiased when the tier asks for it
+  drawScene(camera) {
+    this.tierRenderer.render(this.scene, camera, this.qualityTier);
+  }
+  
+  // Take another viewer's camera pose - panes in a group share one view
+  followCamera(viewer) {
+    this.camera.position.copy(viewer.camera.position);
+    this.camera.quaternion.copy(viewer.camera.quaternion);
+    this.controls.target.copy(viewer.controls.target);
   }
 
-  // Animation loop - continuously renders the scene
+  // Render a frame and schedule the next one while anything is still moving
   animate() {
-    requestAnimationFrame(this.animate.bind(this)); // Schedule next frame
+    this.animationFrameId = null;
     
-    // Get elapsed time
+    // Get elapsed time, and let it pick the quality tier when this frame directly followed the last one
+    // Frames after an idle pause in render-on-demand mode say nothing about rendering cost
     const delta = this.clock.getDelta();
+    if (this.quality && this.frameFollowsPrevious) {
+      this.measureFrame(delta);
+    }
     
-    // Update controls
-    this.controls.update(); // Update controls (needed for damping and auto-rotation)
+    // Update controls - returns true while damping or auto-rotation moves the camera
+    // A pane that follows another one in its group gets its camera from the group instead
+    const following = this.group && this.group.driver !== this;
+    const cameraMoved = !following && this.controls.update();
     
     // Update countdown position if visible for smoother following
     if (this.resetCountdown && this.resetCountdown.style.display === 'block') {
@@ -528,6 +1995,206 @@ export default class ProductViewer {
     }
     
     // Render the scene
-    this.renderer.render(this.scene, this.camera); // Render the scene from camera's perspective
+    this.renderFrame(); // Render the scene from camera's perspective
+    
+    // The model is on screen, so the poster can go
+    if (this.posterElement && this.model) {
+      this.hidePoster();
+    }
+    
+    // Keep rendering every frame when render-on-demand is off
+    if (cameraMoved || !this.options.renderOnDemand) {
+      this.requestRender();
+    }
+    this.frameFollowsPrevious = this.animationFrameId !== null;
+  }
+  
+  // Feed a frame time to the quality controller and switch tiers when it asks to
+  measureFrame(delta) {
+    const tier = this.quality.addFrame(delta);
+    if (tier !== null) {
+      this.setQualityTier(QUALITY_TIERS[tier], this.quality.fps);
+    } else if (this.qualityOverlay) {
+      this.updateQualityOverlay(this.quality.fps);
+    }
+  }
+  
+  // Switch to another quality tier - in a group, the group has already changed the shared renderer
+  // fps is the frame rate that led to the change, for the event and the overlay
+  setQualityTier(tier, fps = null) {
+    if (tier === this.qualityTier) return;
+    const previous = this.qualityTier;
+    this.qualityTier = tier;
+    
+    if (!this.group) {
+      applyRendererTier(this.renderer, tier);
+    }
+    
+    // Shadow filtering is compiled into the shaders, including those of models not in the scene
+    if (tier.shadowType !== previous.shadowType) {
+      this.invalidateMaterials(this.scene);
+      this.modelCache.forEach((promise) => {
+        promise.then((model) => this.invalidateMaterials(model), () => {});
+      });
+      this.authoredMaterials.forEach((material) => {
+        [].concat(material).forEach((authored) => { authored.needsUpdate = true; });
+      });
+    }
+    
+    // A shadow map of the old size is thrown away and rendered again at the new one
+    const { shadow } = this.lights.key;
+    if (shadow.mapSize.x !== tier.shadowMapSize) {
+      shadow.mapSize.setScalar(tier.shadowMapSize);
+      if (shadow.map) {
+        shadow.map.dispose();
+        shadow.map = null;
+      }
+    }
+    
+    if (tier.environmentSize !== previous.environmentSize && !this.contextLost) {
+      this.updateEnvironment(LIGHTING_PRESETS[this.lighting]);
+    }
+    
+    this.updateQualityOverlay(fps);
+    this.emit('qualitychange', { tier: tier.name, fps });
+    this.requestRender();
+  }
+  
+  // Make every material under an object recompile before its next render
+  invalidateMaterials(object) {
+    object.traverse((child) => {
+      if (child.material) {
+        [].concat(child.material).forEach((material) => { material.needsUpdate = true; });
+      }
+    });
+  }
+  
+  // Show the frame rate and tier, for debugging the quality settings
+  createQualityOverlay() {
+    this.qualityOverlay = document.createElement('div');
+    this.qualityOverlay.className = 'product-viewer-quality';
+    this.qualityOverlay.setAttribute('aria-hidden', 'true'); // Debug output, not content
+    this.container.appendChild(this.qualityOverlay);
+    this.updateQualityOverlay(null);
+  }
+  
+  // fps is null until a measurement finished - render-on-demand only measures while the view moves
+  updateQualityOverlay(fps) {
+    if (!this.qualityOverlay) return;
+    this.qualityOverlay.textContent = `${fps === null ? '–' : Math.round(fps)} fps · ${this.qualityTier.name}`;
+  }
+
+  // Listen for a viewer event ('loaded' or 'viewer:loaded') - returns a function that removes the listener
+  on(type, handler) {
+    const name = viewerEventName(type);
+    this.container.addEventListener(name, handler);
+    this.eventListeners.add({ name, handler });
+    return () => this.off(type, handler);
+  }
+  
+  // Remove a listener added with on()
+  off(type, handler) {
+    const name = viewerEventName(type);
+    this.container.removeEventListener(name, handler);
+    for (const listener of this.eventListeners) {
+      if (listener.name === name && listener.handler === handler) {
+        this.eventListeners.delete(listener);
+      }
+    }
+  }
+  
+  // Dispatch a viewer event on the container
+  emit(type, detail) {
+    if (this.disposed) return;
+    this.container.dispatchEvent(new CustomEvent(viewerEventName(type), { detail, bubbles: true }));
+  }
+  
+  // Stop rendering, remove all listeners and free GPU resources
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    viewersByContainer.delete(this.container);
+    
+    // Stop the render loop and any pending animations or timers
+    cancelAnimationFrame(this.animationFrameId);
+    cancelAnimationFrame(this.countdownFrameId);
+    cancelAnimationFrame(this.tweenFrameId);
+    cancelAnimationFrame(this.colorFrameId);
+    cancelAnimationFrame(this.fadeFrameId);
+    clearTimeout(this.resetTimeout);
+    clearTimeout(this.hideLoadingTimeout);
+    clearTimeout(this.hidePosterTimeout);
+    clearTimeout(this.retryTimeout);
+    
+    // Remove DOM and control listeners and observers
+    this.abortController.abort();
+    for (const { name, handler } of this.eventListeners) {
+      this.container.removeEventListener(name, handler);
+    }
+    this.eventListeners.clear();
+    
+    // Fallback mode stops before the controls, renderer and observers are created
+    if (this.controls) {
+      this.resizeObserver.disconnect();
+      this.intersectionObserver.disconnect();
+      this.controls.removeEventListener('change', this.requestRender);
+      this.controls.removeEventListener('start', this.onControlsStart);
+      this.controls.removeEventListener('end', this.onControlsEnd);
+      this.controls.dispose();
+    }
+    
+    // Free geometries, materials and textures, including the design decal
+    // Models are freed on their own, as their geometry and textures may be shared with other panes
+    this.scene.children.filter((child) => child.userData.modelUrl).forEach((model) => {
+      this.scene.remove(model);
+      this.disposeModel(model);
+    });
+    this.disposeObject(this.scene);
+    this.modelCache.forEach((promise) => {
+      promise.then((model) => this.disposeModel(model), () => {}); // Cached models aren't in the scene
+    });
+    this.modelCache.clear();
+    this.authoredMaterials.forEach((material) => {
+      [].concat(material).forEach((authored) => authored.dispose()); // Replaced materials aren't in the scene
+    });
+    this.authoredMaterials.clear();
+    this.designDecal = null;
+    this.shownDesign = null;
+    this.garmentMaterials = [];
+    this.model = null;
+    this.scene.clear();
+    
+    // Free the environment and background maps and the renderer
+    this.scene.environment = null;
+    this.scene.background = null;
+    if (this.environmentTarget) {
+      this.environmentTarget.dispose();
+      this.environmentTarget = null;
+    }
+    if (this.backgroundTexture) {
+      this.backgroundTexture.dispose();
+      this.backgroundTexture = null;
+    }
+    if (this.pmremGenerator) {
+      this.pmremGenerator.dispose();
+    }
+    if (this.tierRenderer) {
+      this.tierRenderer.dispose();
+    }
+    if (this.group) {
+      this.group.remove(this); // The group owns the shared renderer
+    } else if (this.renderer) {
+      this.renderer.dispose();
+      this.renderer.forceContextLoss(); // Browsers limit the number of live WebGL contexts
+    }
+    
+    // Remove the canvas (or pane surface) and overlays
+    const canvas = this.renderer ? this.surface : this.fallbackCanvas;
+    const overlays = [this.posterElement, this.loadingContainer, this.resetCountdown, this.errorContainer, this.cameraControls, this.keyboardHint, this.qualityOverlay];
+    for (const element of [canvas, ...overlays]) {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import WebGL from 'three/examples/jsm/capabilities/WebGL.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { QUALITY_TIERS, QualityController, applyRendererTier } from './adaptiveQuality.js';
+import { getModelLoader } from './modelLoader.js';
+
+// Draws several ProductViewers with one renderer, one canvas and one frame loop
+// Each viewer keeps its own scene, camera and controls and is drawn into its pane's region of the canvas
+// The viewer the user last moved drives the camera, the others copy its pose every frame
+// Models are parsed once for all panes - the panes get copies that share geometry and textures
+// quality is the quality option for the whole group - the panes' own quality options are ignored
+export default class ViewerGroup {
+  constructor(container, { quality = 'auto' } = {}) {
+    this.container = container; // Element holding the panes - the shared canvas covers it
+    this.viewers = []; // Viewers in the group, in pane order
+    this.driver = null; // Viewer whose camera the others follow
+    this.frameId = null; // Request id of the render loop
+    this.renderer = null; // Stays null when WebGL is unavailable, so the panes fall back to mockups
+    this.clock = new THREE.Clock(); // Measures the time of a frame with every pane in it
+    this.quality = new QualityController(quality);
+    this.qualityTier = QUALITY_TIERS[this.quality.tier]; // Read by viewers as they join
+    this.frameFollowsPrevious = false; // Whether the next frame comes right after the last one
+    this.models = new Map(); // Parsed models by URL - { promise, listeners } with the progress listeners of the waiting panes
+    this.animate = this.animate.bind(this);
+
+    try {
+      if (!WebGL.isWebGL2Available()) {
+        throw new Error('WebGL 2 is not available');
+      }
+      this.renderer = new THREE.WebGLRenderer({
+        antialias: false, // Fixed for the life of the context - the panes antialias through their TierRenderer
+        alpha: true, // Gaps between panes and transparent backgrounds show the page
+        powerPreference: 'high-performance'
+      });
+    } catch (error) {
+      console.warn('WebGL is unavailable for the compare view:', error);
+      return;
+    }
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+    this.renderer.shadowMap.enabled = true;
+    applyRendererTier(this.renderer, this.qualityTier);
+    this.renderer.setClearColor(0x000000, 0);
+
+    // Lay the canvas under the panes - each pane puts its own input surface on top
+    const canvas = this.renderer.domElement;
+    canvas.style.cssText = 'position: absolute; inset: 0; width: 100%; height: 100%; pointer-events: none;';
+    this.container.prepend(canvas);
+
+    this.resizeObserver = new ResizeObserver(() => this.onResize());
+    this.resizeObserver.observe(this.container);
+  }
+
+  // Called by ProductViewer when it's created with this group
+  add(viewer) {
+    this.viewers.push(viewer);
+    if (!this.driver) {
+      this.driver = viewer;
+    }
+  }
+
+  // Called by ProductViewer.dispose()
+  remove(viewer) {
+    this.viewers = this.viewers.filter((other) => other !== viewer);
+    if (this.driver === viewer) {
+      this.driver = this.viewers[0] || null;
+    }
+  }
+
+  // Hand the shared camera to another viewer - the previous driver's idle motion and tween stop
+  setDriver(viewer) {
+    if (this.driver === viewer) return;
+
+    if (this.driver) {
+      this.driver.stopIdleMotion();
+      cancelAnimationFrame(this.driver.tweenFrameId);
+    }
+    this.driver = viewer;
+  }
+
+  // Parse a model once and give the calling pane its own copy
+  // onProgress receives the loader's progress events for as long as the pane waits
+  loadModel(url, onProgress) {
+    let entry = this.models.get(url);
+    if (!entry) {
+      const listeners = new Set();
+      const promise = new Promise((resolve, reject) => {
+        getModelLoader(this.renderer).load(
+          url,
+          (gltf) => resolve(gltf.scene),
+          (xhr) => listeners.forEach((listener) => listener(xhr)),
+          reject
+        );
+      });
+      promise.catch(() => this.models.delete(url)); // Allow the retry button to download it again
+      entry = { promise, listeners };
+      this.models.set(url, entry);
+    }
+
+    entry.listeners.add(onProgress);
+    return entry.promise.finally(() => entry.listeners.delete(onProgress)).then(copyModel);
+  }
+
+  // Schedule a frame for every pane unless one is already pending
+  requestRender() {
+    if (!this.renderer || this.frameId !== null) return;
+    this.frameId = requestAnimationFrame(this.animate);
+  }
+
+  // Move the driver's camera, copy it to the other panes and draw them all
+  // The canvas is cleared every frame, so panes that didn't change are drawn again too
+  animate() {
+    this.frameId = null;
+
+    // Only frames that directly follow the last one measure rendering cost
+    const delta = this.clock.getDelta();
+    if (this.frameFollowsPrevious) {
+      this.measureFrame(delta);
+    }
+
+    const driver = this.driver;
+    const viewers = this.viewers.filter((viewer) => !viewer.contextLost);
+    if (viewers.includes(driver)) {
+      driver.animate();
+    }
+    for (const viewer of viewers) {
+      if (viewer === driver) continue;
+      if (driver && driver.model) {
+        viewer.followCamera(driver); // Wait for the driver's model so the panes don't jump to its placeholder view
+      }
+      viewer.animate();
+    }
+    this.frameFollowsPrevious = this.frameId !== null;
+  }
+
+  // Step every pane to another quality tier when the frame time asks for it
+  measureFrame(delta) {
+    const tier = this.quality.addFrame(delta);
+    if (tier === null) {
+      this.viewers.forEach((viewer) => viewer.updateQualityOverlay(this.quality.fps));
+      return;
+    }
+
+    this.qualityTier = QUALITY_TIERS[tier];
+    applyRendererTier(this.renderer, this.qualityTier);
+    this.viewers.forEach((viewer) => viewer.setQualityTier(this.qualityTier, this.quality.fps));
+  }
+
+  // Draw every pane without moving any camera - used after an export resized the canvas
+  render() {
+    for (const viewer of this.viewers) {
+      if (!viewer.contextLost) {
+        this.renderPane(viewer);
+      }
+    }
+  }
+
+  // Draw one viewer into its pane's region of the canvas
+  renderPane(viewer) {
+    const canvasRect = this.renderer.domElement.getBoundingClientRect();
+    const rect = viewer.container.getBoundingClientRect();
+    const left = rect.left - canvasRect.left;
+    const bottom = canvasRect.bottom - rect.bottom; // WebGL counts from the bottom edge
+
+    this.renderer.setViewport(left, bottom, rect.width, rect.height);
+    this.renderer.setScissor(left, bottom, rect.width, rect.height);
+    this.renderer.setScissorTest(true);
+    this.renderer.toneMapping = viewer.toneMapping; // Panes may use different lighting presets
+    this.renderer.toneMappingExposure = viewer.toneMappingExposure;
+    viewer.drawScene(viewer.camera);
+  }
+
+  // Match the canvas to the container - the panes update their own cameras
+  onResize() {
+    const { clientWidth, clientHeight } = this.container;
+    if (clientWidth === 0 || clientHeight === 0) return;
+
+    this.renderer.setSize(clientWidth, clientHeight, false);
+    this.requestRender();
+  }
+
+  // Free the shared renderer - dispose the viewers first
+  dispose() {
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.viewers = [];
+    this.driver = null;
+
+    // The panes freed their copies' materials - the geometry and textures are freed here
+    this.models.forEach(({ promise }) => {
+      promise.then((model) => disposeModel(model), () => {});
+    });
+    this.models.clear();
+
+    if (this.renderer) {
+      this.resizeObserver.disconnect();
+      this.renderer.dispose();
+      this.renderer.forceContextLoss(); // Browsers limit the number of live WebGL contexts
+      this.renderer.domElement.remove();
+    }
+  }
+}
+
+// Copy of a parsed model for one pane - geometry and textures stay shared, while materials are copied
+// because every pane recolors and fades its own
+function copyModel(model) {
+  const copy = SkeletonUtils.clone(model);
+  const materials = new Map(); // Shared materials stay shared within the copy
+  const copyMaterial = (material) => {
+    if (!materials.has(material)) {
+      materials.set(material, material.clone());
+    }
+    return materials.get(material);
+  };
+
+  copy.traverse((node) => {
+    if (node.material) {
+      node.material = Array.isArray(node.material) ? node.material.map(copyMaterial) : copyMaterial(node.material);
+    }
+  });
+  copy.userData.sharedResources = true; // Read by ProductViewer.disposeModel()
+  return copy;
+}
+
+// Free the geometry, materials and textures of a parsed model
+function disposeModel(model) {
+  model.traverse((node) => {
+    if (node.geometry) {
+      node.geometry.dispose();
+    }
+    for (const material of [].concat(node.material ?? [])) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  });
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// Rendering quality tiers, lowest first
+//
+//   pixelRatio        upper limit, the device pixel ratio still applies
+//   shadowType        shadow filtering
+//   shadowMapSize     resolution of the key light's shadow map
+//   environmentSize   cube face size of the prefiltered environment map
+//   antialias         MSAA, drawn through a multisampled render target (see TierRenderer)
+export const QUALITY_TIERS = [
+  { name: 'low', pixelRatio: 1, shadowType: THREE.BasicShadowMap, shadowMapSize: 512, environmentSize: 64, antialias: false },
+  { name: 'medium', pixelRatio: 1.5, shadowType: THREE.PCFShadowMap, shadowMapSize: 1024, environmentSize: 128, antialias: true },
+  { name: 'high', pixelRatio: 2, shadowType: THREE.PCFSoftShadowMap, shadowMapSize: 1024, environmentSize: 256, antialias: true }
+];
+
+const MSAA_SAMPLES = 4;
+
+// Values of the quality option - auto starts high and adapts to the measured frame time
+export const QUALITY_MODES = ['auto', 'low', 'high'];
+
+const SAMPLE_SIZE = 60; // Frames per measurement, about a second at 60 fps
+const MAX_FRAME_TIME = 0.25; // Longer frames are pauses (tab switch, GC, debugger), not rendering cost
+const STEP_DOWN_FPS = 45; // Step down when a measurement is slower than this
+const STEP_UP_FPS = 57; // Step up when measurements are at least this fast
+const STEP_UP_MEASUREMENTS = 3; // Fast measurements in a row before stepping up
+
+// Index of the tier a quality mode starts at
+export function getInitialTier(mode) {
+  return mode === 'low' ? 0 : QUALITY_TIERS.length - 1;
+}
+
+// Pixel ratio of a tier on this device
+export function getTierPixelRatio(tier) {
+  return Math.min(window.devicePixelRatio, tier.pixelRatio);
+}
+
+// Apply the renderer-wide settings of a tier - scenes compiled with another shadow type need their materials updated
+export function applyRendererTier(renderer, tier) {
+  renderer.setPixelRatio(getTierPixelRatio(tier));
+  renderer.shadowMap.type = tier.shadowType;
+}
+
+// Draws a scene with the antialiasing of a quality tier
+// A context's antialias setting is fixed when it's created, so contexts are created without it and
+// antialiased tiers render into a multisampled target that is then tone mapped onto the canvas
+// One per viewer - a group's panes differ in size and would otherwise resize a shared target every frame
+export class TierRenderer {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.target = null; // Created for the first antialiased frame
+    this.output = null; // Tone mapping and color space conversion onto the canvas
+    this.viewport = new THREE.Vector4();
+  }
+
+  // Draw into the renderer's current viewport, like renderer.render()
+  render(scene, camera, tier) {
+    const renderer = this.renderer;
+    if (!tier.antialias) {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    const viewport = renderer.getViewport(this.viewport);
+    const pixelRatio = renderer.getPixelRatio();
+    const width = Math.max(1, Math.round(viewport.z * pixelRatio));
+    const height = Math.max(1, Math.round(viewport.w * pixelRatio));
+    if (!this.target) {
+      this.target = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: MSAA_SAMPLES });
+      this.output = new OutputPass();
+      this.output.renderToScreen = true;
+    }
+    this.target.setSize(width, height);
+
+    renderer.setRenderTarget(this.target);
+    renderer.render(scene, camera);
+    this.output.render(renderer, null, this.target); // Back onto the canvas, in the current viewport
+  }
+
+  dispose() {
+    if (!this.target) return;
+
+    this.target.dispose();
+    this.output.dispose();
+    this.target = null;
+    this.output = null;
+  }
+}
+
+// Picks a quality tier from measured frame times
+// The thresholds are apart and stepping up needs several fast measurements in a row, so the tier
+// doesn't flip back and forth around one frame rate - and every step down from a tier doubles
+// the fast measurements needed to return to it
+export class QualityController {
+  constructor(mode) {
+    this.adaptive = mode === 'auto';
+    this.tier = getInitialTier(mode);
+    this.samples = []; // Frame times of the current measurement, in seconds
+    this.fastMeasurements = 0; // Fast measurements in a row
+    this.stepDowns = QUALITY_TIERS.map(() => 0); // How often each tier turned out too slow
+    this.fps = null; // Frame rate of the last measurement
+  }
+
+  // Record the time of a frame that directly followed the previous one
+  // Returns the new tier index when the tier changes, otherwise null
+  addFrame(delta) {
+    if (delta <= 0 || delta > MAX_FRAME_TIME) return null;
+
+    this.samples.push(delta);
+    if (this.samples.length < SAMPLE_SIZE) return null;
+
+    const average = this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length;
+    this.samples = [];
+    this.fps = 1 / average;
+    if (!this.adaptive) return null;
+
+    if (this.fps < STEP_DOWN_FPS && this.tier > 0) {
+      this.stepDowns[this.tier]++;
+      this.fastMeasurements = 0;
+      return --this.tier;
+    }
+
+    this.fastMeasurements = this.fps >= STEP_UP_FPS ? this.fastMeasurements + 1 : 0;
+    const next = this.tier + 1;
+    if (next < QUALITY_TIERS.length && this.fastMeasurements >= STEP_UP_MEASUREMENTS * 2 ** this.stepDowns[next]) {
+      this.fastMeasurements = 0;
+      return ++this.tier;
+    }
+    return null;
+  }
+
+  // Forget a measurement in progress - called when the viewer pauses rendering
+  reset() {
+    this.samples = [];
+  }
+}
@@ -0,0 +1,12 @@
+// Named camera views - azimuth and polar angles in radians, distance relative to the default view
+export const CAMERA_PRESETS = {
+  front: { label: 'Front', azimuth: 0, polar: Math.PI / 2, distance: 1 },
+  back: { label: 'Back', azimuth: Math.PI, polar: Math.PI / 2, distance: 1 },
+  left: { label: 'Left', azimuth: -Math.PI / 2, polar: Math.PI / 2, distance: 1 }, // Seen from the viewer's left
+  right: { label: 'Right', azimuth: Math.PI / 2, polar: Math.PI / 2, distance: 1 },
+  detail: { label: 'Detail', azimuth: 0, polar: Math.PI / 2, distance: 0.5, focus: 'print' } // Close-up of the print area
+};
+
+// Keyboard navigation steps
+export const KEYBOARD_ROTATE_STEP = Math.PI / 12; // 15 degrees per arrow key press
+export const KEYBOARD_ZOOM_FACTOR = 0.85; // Distance multiplier per +/- key press
@@ -0,0 +1,15 @@
+// Default garment colorways - hex values are sRGB, matching what the viewer reports back
+// names holds the name in the other site languages
+export const DEFAULT_PALETTE = [
+  { name: 'White', names: { ja: 'ホワイト' }, hex: '#f4f4f2', available: true },
+  { name: 'Black', names: { ja: 'ブラック' }, hex: '#1d1d1f', available: true },
+  { name: 'Heather Grey', names: { ja: 'ヘザーグレー' }, hex: '#9a9a9c', available: true },
+  { name: 'Navy', names: { ja: 'ネイビー' }, hex: '#1f2a44', available: true },
+  { name: 'Forest', names: { ja: 'フォレスト' }, hex: '#2f4a36', available: true },
+  { name: 'Sand', names: { ja: 'サンド' }, hex: '#d8c7a6', available: false }
+];
+
+// Name of a colorway in a language, English when it has none in that language
+export function colorwayName({ name, names }, locale) {
+  return names && Object.hasOwn(names, locale) ? names[locale] : name;
+}
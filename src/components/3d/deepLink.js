@@ -0,0 +1,141 @@
+import { GARMENT_MODELS, getGarmentModel, findGarmentModel } from './garmentModels.js';
+
+// Viewer state in the page URL, so a shared link opens the same view
+//
+//   ?design=/designs/World.png   design image - same-origin paths only, uploaded artwork isn't shared
+//   &color=1f2a44                garment color as sRGB hex
+//   &garment=tee&fit=regular     model from the garment catalog
+//   &cam=0.1,0.2,1.1             camera position
+//   &target=0,0.1,0              point the camera looks at
+//   &zoom=1.5                    distance relative to the default view
+
+const PARAMS = ['design', 'color', 'garment', 'fit', 'cam', 'target', 'zoom'];
+const UPDATE_DELAY = 500; // Wait for the camera to settle before touching the URL
+
+// DOMContentLoaded fires once every module script of the page has run
+let pageScriptsRun = document.readyState === 'complete';
+if (!pageScriptsRun) {
+  document.addEventListener('DOMContentLoaded', () => { pageScriptsRun = true; }, { once: true });
+}
+
+// Read the view state from a query string - invalid values are left out
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const design = params.get('design');
+  if (design && design.startsWith('/') && !design.startsWith('//')) {
+    state.design = design;
+  }
+
+  const color = params.get('color');
+  if (color && /^[0-9a-f]{6}$/i.test(color)) {
+    state.color = '#' + color.toLowerCase();
+  }
+
+  const garment = params.get('garment');
+  if (garment && Object.hasOwn(GARMENT_MODELS, garment)) {
+    state.model = getGarmentModel(garment, params.get('fit'));
+  }
+
+  const position = parseVector(params.get('cam'));
+  const target = parseVector(params.get('target'));
+  const zoom = Number(params.get('zoom') ?? 1);
+  if (position && target && zoom > 0 && Number.isFinite(zoom)) {
+    state.camera = { position, target, zoom };
+  }
+
+  return state;
+}
+
+// Write the view state into a query string, keeping unrelated parameters
+// Values equal to the page defaults are left out, so an untouched page keeps a clean URL
+export function serializeViewState(state, search = '', defaults = {}) {
+  const params = new URLSearchParams(search);
+  PARAMS.forEach((name) => params.delete(name));
+
+  if (state.design && state.design.startsWith('/') && state.design !== defaults.design) {
+    params.set('design', state.design);
+  }
+  if (state.color && state.color !== defaults.color) {
+    params.set('color', state.color.replace('#', ''));
+  }
+
+  const model = state.modelUrl && findGarmentModel(state.modelUrl);
+  if (model && state.modelUrl !== defaults.modelUrl) {
+    params.set('garment', model.garment);
+    params.set('fit', model.variant);
+  }
+
+  if (state.camera) {
+    params.set('cam', formatVector(state.camera.position));
+    params.set('target', formatVector(state.camera.target));
+    params.set('zoom', String(round(state.camera.zoom)));
+  }
+
+  const query = params.toString().replace(/%2C/g, ','); // Commas are fine in a query and easier to read
+  return query ? `?${query}` : '';
+}
+
+// Apply the state in the page URL to a viewer, then keep the URL up to date as the view changes
+// defaults: { design, color, modelUrl } the page shows without parameters
+export function linkViewState(viewer, defaults = {}) {
+  const state = parseViewState(location.search);
+
+  let timeout = null;
+  const update = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      if (viewer.disposed) return;
+
+      const query = serializeViewState(viewer.getViewState(), location.search, defaults);
+      if (query !== location.search) {
+        history.replaceState(history.state, '', location.pathname + query + location.hash);
+      }
+    }, UPDATE_DELAY);
+  };
+
+  // Swatches and the stock line follow the viewer's change events, so wait until their scripts listen
+  const link = () => {
+    if (viewer.disposed) return;
+
+    if (state.color) {
+      viewer.setGarmentColor(state.color, { duration: 0 });
+    }
+    if (state.design) {
+      viewer.setDesign(state.design);
+    }
+    if (state.model) {
+      const { url, previewUrl, printArea } = state.model;
+      viewer.loadModel(url, { previewUrl, printArea, duration: 0 });
+    }
+    if (state.camera) {
+      viewer.setCameraPose(state.camera, { duration: 0 });
+    }
+
+    for (const type of ['designchange', 'colorchange', 'loaded', 'camerachange', 'interactionend']) {
+      viewer.on(type, update);
+    }
+  };
+
+  if (pageScriptsRun) {
+    link();
+  } else {
+    document.addEventListener('DOMContentLoaded', link, { once: true });
+  }
+}
+
+// Parse "x,y,z" into three finite numbers
+function parseVector(value) {
+  const parts = value ? value.split(',').map(Number) : [];
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+}
+
+function formatVector(vector) {
+  return vector.map(round).join(',');
+}
+
+// Three decimals is well below what the eye can tell apart
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
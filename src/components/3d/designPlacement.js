@@ -0,0 +1,30 @@
+// Limits of a design placement - the viewer clamps to them and the cart endpoint rejects anything outside
+export const MIN_DESIGN_SCALE = 0.1; // Relative to the print area width
+export const MAX_DESIGN_SCALE = 1;
+export const MAX_DESIGN_OFFSET = 0.5; // Relative to the print area size, keeps the design's center inside it
+
+// Keep the whole design inside the print area, not just its center
+// aspect is the design image height over its width, areaAspect the same for the print area
+// The scale shrinks until the rotated design fits, then the center moves in until no edge sticks out
+export function fitDesignPlacement({ offset, scale, rotation }, aspect, areaAspect) {
+  const cos = Math.abs(Math.cos(rotation));
+  const sin = Math.abs(Math.sin(rotation));
+
+  // Bounding box of the rotated design at scale 1, relative to the print area width and height
+  const boxWidth = cos + aspect * sin;
+  const boxHeight = (sin + aspect * cos) / areaAspect;
+
+  const fitted = clamp(Math.min(scale, 1 / boxWidth, 1 / boxHeight), MIN_DESIGN_SCALE, MAX_DESIGN_SCALE);
+  const maxX = Math.max(0, MAX_DESIGN_OFFSET - (fitted * boxWidth) / 2);
+  const maxY = Math.max(0, MAX_DESIGN_OFFSET - (fitted * boxHeight) / 2);
+
+  return {
+    offset: { x: clamp(offset.x, -maxX, maxX), y: clamp(offset.y, -maxY, maxY) },
+    scale: fitted,
+    rotation
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,70 @@
+// Flat 2D mockup shown when WebGL is unavailable - draws the design onto a shirt silhouette
+
+// Mockup canvas size in CSS pixels
+export const MOCKUP_WIDTH = 500;
+export const MOCKUP_HEIGHT = 600;
+
+// Shirt silhouette (front view) and its print area, in mockup coordinates
+const SHIRT_PATH = 'M190 40 Q250 95 310 40 L420 80 L490 190 L420 230 L400 205 L400 570 L100 570 L100 205 L80 230 L10 190 L80 80 Z';
+const PRINT_AREA = { x: 250, y: 250, width: 180, height: 220 }; // Center and size
+
+const DEFAULT_GARMENT_COLOR = '#f4f4f2';
+
+// Images already decoded for the mockup, by URL
+const imageCache = new Map();
+
+// Load an image once and reuse it for later redraws
+function loadImage(url) {
+  if (!imageCache.has(url)) {
+    const image = new Image();
+    image.src = url;
+    imageCache.set(url, image.decode().then(() => image, (error) => {
+      imageCache.delete(url); // Allow a later redraw to try again
+      throw error;
+    }));
+  }
+  return imageCache.get(url);
+}
+
+// Draw the shirt in the garment color with the design at its placement
+// state: { color, designUrl, placement: { offset, scale, rotation } }
+// Resolves to the decoded design image, or null without a design
+export async function renderFallbackMockup(canvas, { color, designUrl, placement }) {
+  const image = designUrl ? await loadImage(designUrl) : null;
+
+  const pixelRatio = Math.min(window.devicePixelRatio, 2);
+  canvas.width = MOCKUP_WIDTH * pixelRatio;
+  canvas.height = MOCKUP_HEIGHT * pixelRatio;
+
+  const context = canvas.getContext('2d');
+  context.scale(pixelRatio, pixelRatio);
+
+  // Shirt with a soft shadow and outline
+  const shirt = new Path2D(SHIRT_PATH);
+  context.save();
+  context.shadowColor = 'rgba(0, 0, 0, 0.35)';
+  context.shadowBlur = 20;
+  context.shadowOffsetY = 8;
+  context.fillStyle = color || DEFAULT_GARMENT_COLOR;
+  context.fill(shirt);
+  context.restore();
+  context.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+  context.lineWidth = 2;
+  context.stroke(shirt);
+
+  if (!image) return null;
+
+  // Same placement rules as the 3D decal - offset relative to the print area, scale relative to its width
+  const width = PRINT_AREA.width * placement.scale;
+  const height = width * (image.naturalHeight / image.naturalWidth);
+  context.save();
+  context.clip(shirt);
+  context.translate(
+    PRINT_AREA.x + placement.offset.x * PRINT_AREA.width,
+    PRINT_AREA.y - placement.offset.y * PRINT_AREA.height // Canvas y points down
+  );
+  context.rotate(-placement.rotation);
+  context.drawImage(image, -width / 2, -height / 2, width, height);
+  context.restore();
+  return image;
+}
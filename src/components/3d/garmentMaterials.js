@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+// Fabric presets - MeshPhysicalMaterial settings tuned for textiles
+export const FABRIC_PRESETS = {
+  cotton: { roughness: 0.9, sheen: 0.5, sheenRoughness: 0.8, specularIntensity: 0.3 }, // Matte, soft highlight
+  jersey: { roughness: 0.8, sheen: 0.7, sheenRoughness: 0.6, specularIntensity: 0.4 }, // Knit with a light sheen
+  polyester: { roughness: 0.55, sheen: 0.4, sheenRoughness: 0.35, specularIntensity: 0.6 }, // Synthetic, tighter highlight
+  fleece: { roughness: 1.0, sheen: 1.0, sheenRoughness: 0.9, specularIntensity: 0.2 } // Fuzzy, strong rim sheen
+};
+
+// 'preserve' keeps the glTF materials, 'standard' converts them to MeshStandardMaterial
+export const MATERIAL_MODES = ['preserve', 'standard', ...Object.keys(FABRIC_PRESETS)];
+
+// Properties carried over from the authored material in every mode
+function authoredProperties(material) {
+  return {
+    map: material.map,
+    normalMap: material.normalMap,
+    normalScale: material.normalScale,
+    aoMap: material.aoMap,
+    aoMapIntensity: material.aoMapIntensity ?? 1,
+    alphaMap: material.alphaMap,
+    emissiveMap: material.emissiveMap,
+    emissive: material.emissive,
+    color: material.color,
+    transparent: material.transparent,
+    opacity: material.opacity,
+    alphaTest: material.alphaTest,
+    side: material.side,
+    vertexColors: material.vertexColors
+  };
+}
+
+// Create the material the garment is shown with for a material mode
+export function createGarmentMaterial(material, mode) {
+  if (mode === 'preserve') {
+    return material;
+  }
+
+  // Copy the authored values, so recoloring the garment doesn't touch the original
+  const properties = authoredProperties(material);
+  properties.color = material.color ? material.color.clone() : new THREE.Color(0xffffff);
+  properties.emissive = material.emissive ? material.emissive.clone() : new THREE.Color(0x000000);
+  if (material.normalScale) {
+    properties.normalScale = material.normalScale.clone();
+  }
+
+  if (mode === 'standard') {
+    return new THREE.MeshStandardMaterial(withoutUndefined({
+      ...properties,
+      roughnessMap: material.roughnessMap,
+      metalnessMap: material.metalnessMap,
+      metalness: material.metalness ?? 0, // Authored 0 stays 0 - cloth isn't metallic
+      roughness: material.roughness ?? 0.5,
+      envMapIntensity: 1.5,
+      flatShading: false // Ensure smooth shading is applied
+    }));
+  }
+
+  const preset = FABRIC_PRESETS[mode];
+  if (!preset) {
+    throw new TypeError(`ProductViewer: unknown material mode "${mode}"`);
+  }
+
+  return new THREE.MeshPhysicalMaterial(withoutUndefined({
+    ...properties,
+    roughnessMap: material.roughnessMap, // Fabric weave detail, scaled by the preset roughness
+    metalness: 0,
+    roughness: preset.roughness,
+    sheen: preset.sheen,
+    sheenRoughness: preset.sheenRoughness,
+    sheenColor: new THREE.Color(0xffffff),
+    specularIntensity: preset.specularIntensity,
+    flatShading: false
+  }));
+}
+
+// Drop missing values - three.js warns about every undefined material parameter
+function withoutUndefined(properties) {
+  return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined));
+}
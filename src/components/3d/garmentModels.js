@@ -0,0 +1,46 @@
+const APPAREL_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+
+// Garments the viewer can switch between - every fit or size variant is its own model file
+// Only list models that ship in public/ - GarmentPicker and the cart offer everything listed here
+// printArea overrides the viewer's printArea option for that garment, relative to the model bounds
+// A variant may add a previewUrl - a lightweight model shown while the full one downloads
+// sizes are the sizes the garment is ordered in
+export const GARMENT_MODELS = {
+  tee: {
+    label: 'T-shirt',
+    sizes: APPAREL_SIZES,
+    variants: {
+      regular: { label: 'Regular fit', url: '/glb4.glb' }
+    }
+  }
+};
+
+export const DEFAULT_GARMENT = 'tee';
+
+// Look up a garment variant - falls back to the garment's first variant
+export function getGarmentModel(garment, variant) {
+  const entry = GARMENT_MODELS[garment];
+  if (!entry) {
+    throw new TypeError(`ProductViewer: unknown garment "${garment}"`);
+  }
+
+  const [name, model] = Object.entries(entry.variants).find(([key]) => key === variant) ?? Object.entries(entry.variants)[0];
+  return { garment, variant: name, url: model.url, previewUrl: model.previewUrl, printArea: entry.printArea, sizes: entry.sizes };
+}
+
+// Find which garment and variant a model URL belongs to, or null for models outside the catalog
+export function findGarmentModel(url) {
+  for (const [garment, { variants }] of Object.entries(GARMENT_MODELS)) {
+    for (const [variant, model] of Object.entries(variants)) {
+      if (model.url === url) {
+        return getGarmentModel(garment, variant);
+      }
+    }
+  }
+  return null;
+}
+
+// Whether the catalog offers more than one model to choose from
+export function hasGarmentChoices() {
+  return Object.values(GARMENT_MODELS).flatMap(({ variants }) => Object.keys(variants)).length > 1;
+}
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+
+// Named lighting setups - light intensities multiply the viewer's intensity options
+//
+//   toneMapping   'none', 'neutral', 'aces' or 'agx'
+//   exposure      tone mapping exposure
+//   environment   { top, bottom } gradient rendered on the fly, or { url } of a local .hdr/.exr file
+//                 with a gradient fallback used while it loads or if it fails
+//   background    { type: 'color', color? } - color defaults to the background option
+//                 { type: 'gradient', top, bottom }
+//                 { type: 'environment', blurriness, intensity? }
+//                 { type: 'transparent' }
+//   lights        { ambient, key, rim, fill } - { intensity, color? } each
+//   shadow        opacity of the shadow on the ground plane, 0 hides the plane
+export const LIGHTING_PRESETS = {
+  studio: {
+    label: 'Soft studio',
+    toneMapping: 'none',
+    exposure: 1,
+    environment: { top: 0x555555, bottom: 0x222222 },
+    background: { type: 'color' },
+    lights: {
+      ambient: { intensity: 1, color: 0x404040 },
+      key: { intensity: 1 },
+      rim: { intensity: 1 },
+      fill: { intensity: 1 }
+    },
+    shadow: 0.3
+  },
+  highKey: {
+    label: 'High-key white',
+    toneMapping: 'neutral',
+    exposure: 1.1,
+    environment: { top: 0xffffff, bottom: 0xd8d8d8 },
+    background: { type: 'color', color: 0xf7f7f7 },
+    lights: {
+      ambient: { intensity: 2, color: 0xffffff },
+      key: { intensity: 0.8 },
+      rim: { intensity: 0.6 },
+      fill: { intensity: 1.4 }
+    },
+    shadow: 0.12 // Barely there, like a paper sweep
+  },
+  dramatic: {
+    label: 'Dramatic',
+    toneMapping: 'aces',
+    exposure: 0.9,
+    environment: { top: 0x1a1a1a, bottom: 0x050505 },
+    background: { type: 'gradient', top: 0x2b2b2b, bottom: 0x050505 },
+    lights: {
+      ambient: { intensity: 0.2, color: 0x404040 },
+      key: { intensity: 2.2, color: 0xfff4e6 },
+      rim: { intensity: 2.5, color: 0xcfe0ff },
+      fill: { intensity: 0.15 }
+    },
+    shadow: 0.6
+  },
+  outdoor: {
+    label: 'Outdoor',
+    toneMapping: 'aces',
+    exposure: 1,
+    environment: { url: '/environments/outdoor-sky.hdr', top: 0x9cc4ff, bottom: 0x4a4a40 },
+    background: { type: 'environment', blurriness: 0.6 },
+    lights: {
+      ambient: { intensity: 0.3, color: 0xbfd8ff },
+      key: { intensity: 1.6, color: 0xfff1dc }, // Sun
+      rim: { intensity: 0.4 },
+      fill: { intensity: 0.3 }
+    },
+    shadow: 0.45
+  }
+};
+
+export const TONE_MAPPINGS = {
+  none: THREE.NoToneMapping,
+  neutral: THREE.NeutralToneMapping,
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping
+};
+
+// Environment textures already loaded, by URL - shared by every viewer on the page
+const environmentCache = new Map();
+
+// Load a local .hdr or .exr file as an equirectangular texture
+export function loadEnvironmentTexture(url) {
+  if (!environmentCache.has(url)) {
+    const loader = /\.exr$/i.test(url) ? new EXRLoader() : new RGBELoader();
+    environmentCache.set(url, loader.loadAsync(url).then((texture) => {
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      return texture;
+    }, (error) => {
+      environmentCache.delete(url); // Allow a later preset switch to try again
+      throw error;
+    }));
+  }
+  return environmentCache.get(url);
+}
+
+// Scene of two hemispheres that PMREM turns into a soft gradient environment
+export function createGradientScene({ top, bottom }) {
+  const scene = new THREE.Scene();
+
+  const upper = new THREE.Mesh(
+    new THREE.SphereGeometry(5, 32, 32, 0, Math.PI * 2, 0, Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: top, side: THREE.BackSide })
+  );
+  const lower = new THREE.Mesh(
+    new THREE.SphereGeometry(5, 32, 32, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: bottom, side: THREE.BackSide })
+  );
+  scene.add(upper, lower);
+
+  return scene;
+}
+
+// Vertical gradient texture for the scene background
+export function createGradientBackground({ top, bottom }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 2;
+  canvas.height = 256;
+
+  const context = canvas.getContext('2d');
+  const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+  gradient.addColorStop(0, '#' + new THREE.Color(top).getHexString());
+  gradient.addColorStop(1, '#' + new THREE.Color(bottom).getHexString());
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
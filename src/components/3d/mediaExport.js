@@ -0,0 +1,69 @@
+// Marketing exports - compositing rendered views and recording the viewer canvas
+// Everything works from the WebGL canvas alone, so DOM overlays (countdown, loading, toolbar) never show up
+
+// WebM codecs to try, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Lay rendered views out side by side on one canvas, centered vertically
+export function composeMockupSheet(views, { gap = 0 } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = views.reduce((sum, view) => sum + view.width, 0) + gap * (views.length - 1);
+  canvas.height = Math.max(...views.map((view) => view.height));
+
+  const context = canvas.getContext('2d');
+  let x = 0;
+  for (const view of views) {
+    context.drawImage(view, x, (canvas.height - view.height) / 2);
+    x += view.width + gap;
+  }
+
+  return canvas;
+}
+
+// Record a canvas for duration ms while onFrame(progress) draws each frame, progress going from 0 to 1
+// Resolves with a WebM blob; rejects if the signal aborts first
+export function recordCanvas(canvas, { duration, fps = 30, bitrate = 8000000, signal, onFrame }) {
+  const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType || !canvas.captureStream) {
+    return Promise.reject(new Error('WebM recording is not supported in this browser'));
+  }
+
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  });
+
+  return new Promise((resolve, reject) => {
+    recorder.addEventListener('stop', () => {
+      stream.getTracks().forEach((track) => track.stop());
+      if (signal && signal.aborted) {
+        reject(new DOMException('The recording was aborted', 'AbortError'));
+      } else {
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      }
+    });
+    recorder.addEventListener('error', (event) => reject(event.error));
+
+    let startTime = null;
+    const frame = (time) => {
+      if (signal && signal.aborted) {
+        recorder.stop();
+        return;
+      }
+      if (startTime === null) startTime = time;
+
+      const progress = Math.min((time - startTime) / duration, 1);
+      onFrame(progress);
+      if (progress < 1) {
+        requestAnimationFrame(frame);
+      } else {
+        recorder.stop();
+      }
+    };
+
+    recorder.start();
+    requestAnimationFrame(frame);
+  });
+}
@@ -0,0 +1,25 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+// Decoders are copied from three into public/decoders by the integration in astro.config.mjs
+export const DRACO_DECODER_PATH = '/decoders/draco/';
+export const BASIS_TRANSCODER_PATH = '/decoders/basis/';
+
+// One loader for every viewer on the page - the Draco and KTX2 decoders each run a worker pool
+let modelLoader = null;
+
+// GLTF loader that understands Draco and Meshopt compressed geometry and KTX2 textures
+export function getModelLoader(renderer) {
+  if (!modelLoader) {
+    const dracoLoader = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+    const ktx2Loader = new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH).detectSupport(renderer);
+
+    modelLoader = new GLTFLoader()
+      .setDRACOLoader(dracoLoader)
+      .setKTX2Loader(ktx2Loader)
+      .setMeshoptDecoder(MeshoptDecoder);
+  }
+  return modelLoader;
+}
@@ -0,0 +1,148 @@
+// Print file export - works from plain design state so it doesn't need WebGL
+
+export const CM_PER_INCH = 2.54;
+export const DEFAULT_DPI = 300; // Target resolution of the print file
+export const MIN_DPI = 150; // Below this the print will look soft
+const SPEC_TOLERANCE_CM = 0.02; // Rounding of the sizes and offsets in the placement spec
+
+// Convert centimeters to pixels at a resolution
+export function cmToPixels(cm, dpi) {
+  return Math.round((cm / CM_PER_INCH) * dpi);
+}
+
+// Resolution the source image ends up printed at
+export function effectiveDpi(imagePixels, printedCm) {
+  return imagePixels / (printedCm / CM_PER_INCH);
+}
+
+// Describe where and how large the design is printed
+// state: { imageWidth, imageHeight, placement: { offset, scale, rotation }, printSizeCm: { width, height } }
+export function createPlacementSpec(state, { dpi = DEFAULT_DPI } = {}) {
+  const { imageWidth, imageHeight, placement, printSizeCm } = state;
+  if (!(imageWidth > 0) || !(imageHeight > 0)) {
+    throw new RangeError('printExport: the design image has no size');
+  }
+
+  const widthCm = printSizeCm.width * placement.scale;
+  const heightCm = widthCm * (imageHeight / imageWidth);
+
+  return {
+    dpi,
+    printArea: {
+      widthCm: printSizeCm.width,
+      heightCm: printSizeCm.height,
+      widthPx: cmToPixels(printSizeCm.width, dpi),
+      heightPx: cmToPixels(printSizeCm.height, dpi)
+    },
+    design: {
+      widthCm: round(widthCm),
+      heightCm: round(heightCm),
+      // Offset of the design center from the print area center, positive is right and up
+      offsetCm: {
+        x: round(placement.offset.x * printSizeCm.width),
+        y: round(placement.offset.y * printSizeCm.height)
+      },
+      scale: placement.scale,
+      rotationDeg: round((placement.rotation * 180) / Math.PI), // Counter-clockwise
+      sourceWidthPx: imageWidth,
+      sourceHeightPx: imageHeight,
+      effectiveDpi: Math.round(effectiveDpi(imageWidth, widthCm))
+    }
+  };
+}
+
+// Text of the print warnings - viewerStrings.js has them in other languages
+export const PRINT_WARNINGS = {
+  lowResolution: 'The artwork prints at {dpi} DPI at {widthCm} cm wide, below the recommended {minDpi} DPI. ' +
+    'Use a larger image or scale the design down.',
+  upscaled: 'The artwork prints at {dpi} DPI, below the {targetDpi} DPI print target, and will be upscaled.',
+  outsidePrintArea: 'Part of the design lies outside the {areaWidthCm} × {areaHeightCm} cm print area and will be cut off.'
+};
+
+// List problems that would make the print look bad
+export function getPrintWarnings(spec, { minDpi = MIN_DPI, strings = PRINT_WARNINGS } = {}) {
+  const warnings = [];
+  const { effectiveDpi: dpi, widthCm } = spec.design;
+
+  if (exceedsPrintArea(spec)) {
+    warnings.push(strings.outsidePrintArea
+      .replace('{areaWidthCm}', spec.printArea.widthCm)
+      .replace('{areaHeightCm}', spec.printArea.heightCm));
+  }
+
+  if (dpi < minDpi) {
+    warnings.push(strings.lowResolution.replace('{dpi}', dpi).replace('{widthCm}', widthCm).replace('{minDpi}', minDpi));
+  } else if (dpi < spec.dpi) {
+    warnings.push(strings.upscaled.replace('{dpi}', dpi).replace('{targetDpi}', spec.dpi));
+  }
+
+  return warnings;
+}
+
+// Draw the design onto a transparent canvas covering the whole print area
+export function renderPrintFile(image, spec, createCanvas = defaultCreateCanvas) {
+  const { printArea, design, dpi } = spec;
+  const canvas = createCanvas(printArea.widthPx, printArea.heightPx);
+  const context = canvas.getContext('2d');
+
+  // Canvas y points down, so the upward offset and counter-clockwise rotation are flipped
+  context.translate(
+    printArea.widthPx / 2 + cmToPixels(design.offsetCm.x, dpi),
+    printArea.heightPx / 2 - cmToPixels(design.offsetCm.y, dpi)
+  );
+  context.rotate((-design.rotationDeg * Math.PI) / 180);
+
+  const width = cmToPixels(design.widthCm, dpi);
+  const height = cmToPixels(design.heightCm, dpi);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, -width / 2, -height / 2, width, height);
+
+  return canvas;
+}
+
+// Produce the print PNG together with its placement spec and warnings
+export async function exportPrintFile(image, state, { dpi = DEFAULT_DPI, minDpi = MIN_DPI, createCanvas, strings } = {}) {
+  const spec = createPlacementSpec(state, { dpi });
+  const canvas = renderPrintFile(image, spec, createCanvas);
+  const blob = await canvasToBlob(canvas);
+  return { blob, spec, warnings: getPrintWarnings(spec, { minDpi, strings }) };
+}
+
+// Whether the rotated design reaches past an edge of the print area, where renderPrintFile crops it
+export function exceedsPrintArea({ printArea, design }) {
+  const angle = (design.rotationDeg * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const halfWidth = (design.widthCm * cos + design.heightCm * sin) / 2;
+  const halfHeight = (design.widthCm * sin + design.heightCm * cos) / 2;
+
+  // The spec is rounded to 0.01 cm, so allow for that much
+  return Math.abs(design.offsetCm.x) + halfWidth > printArea.widthCm / 2 + SPEC_TOLERANCE_CM ||
+    Math.abs(design.offsetCm.y) + halfHeight > printArea.heightCm / 2 + SPEC_TOLERANCE_CM;
+}
+
+// Create a canvas outside the document where possible
+function defaultCreateCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Encode a canvas as PNG
+export function canvasToBlob(canvas) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the print file'))), 'image/png');
+  });
+}
+
+// Round to two decimals for the spec
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,3 @@
+// Largest artwork file a customer can upload - the upload control rejects bigger files
+// and the cart endpoint accepts the same file inlined as a data URL
+export const MAX_ARTWORK_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
@@ -0,0 +1,39 @@
+// Events ProductViewer dispatches on its container - they bubble, so pages can listen on document
+//
+//   viewer:progress          { loaded, total, progress }  model download, progress from 0 to 1 - total and
+//                                                         progress are null when the size is unknown
+//   viewer:loaded            { url, preview }             model is in the scene and rendering; preview is true
+//                                                         while a lightweight stand-in shows for url
+//   viewer:error             { error, source, kind, url } source is 'model', 'design', 'environment' or 'webgl';
+//                                                         kind is 'network', 'parse', 'unsupported' or 'contextlost'
+//   viewer:interactionstart  { source }                   source is 'controls' or 'design'
+//   viewer:interactionend    { source }
+//   viewer:reset             {}                           camera returns to the default view
+//   viewer:camerachange      { pose }                     camera finished moving; pose is null for the default view
+//   viewer:designchange      { url, placement }           url is null when the design was removed
+//   viewer:colorchange       { color, name }              color is an sRGB hex string
+//   viewer:lightingchange    { lighting }                 name of the lighting preset
+//   viewer:qualitychange     { tier, fps }                name of the new quality tier and the frame rate that
+//                                                         led to it (see adaptiveQuality.js)
+export const VIEWER_EVENTS = [
+  'progress',
+  'loaded',
+  'error',
+  'interactionstart',
+  'interactionend',
+  'reset',
+  'camerachange',
+  'designchange',
+  'colorchange',
+  'lightingchange',
+  'qualitychange'
+];
+
+// Full DOM event name for a viewer event - accepts 'loaded' as well as 'viewer:loaded'
+export function viewerEventName(type) {
+  const name = type.startsWith('viewer:') ? type.slice('viewer:'.length) : type;
+  if (!VIEWER_EVENTS.includes(name)) {
+    throw new TypeError(`ProductViewer: unknown event "${type}"`);
+  }
+  return `viewer:${name}`;
+}
@@ -0,0 +1,171 @@
+import { MATERIAL_MODES } from './garmentMaterials.js';
+import { LIGHTING_PRESETS } from './lightingPresets.js';
+import { QUALITY_MODES } from './adaptiveQuality.js';
+import { resolveStrings } from './viewerStrings.js';
+
+// Default options for ProductViewer - any of these can be overridden per product
+export const DEFAULT_OPTIONS = {
+  modelUrl: '/glb4.glb', // Path to the garment model file - Draco, Meshopt and KTX2 compression are supported
+  previewModelUrl: '', // Lightweight version of the model shown while the full one downloads, '' for none
+  poster: '', // Image shown until the first frame renders, '' for none
+  lighting: 'studio', // Lighting preset - studio, highKey, dramatic or outdoor (see lightingPresets.js)
+  background: 0x666666, // Background color for lighting presets with a plain color background (number or CSS color string)
+  ambientLightIntensity: 0.8, // Intensity of the ambient light, scaled by the lighting preset
+  keyLightIntensity: 1.5, // Intensity of the main directional light, scaled by the lighting preset
+  rimLightIntensity: 1.2, // Intensity of the light from behind, scaled by the lighting preset
+  fillLightIntensity: 1.0, // Intensity of the light from the front, scaled by the lighting preset
+  minDistance: 0.5, // Can't zoom closer than this
+  maxDistance: 2, // Can't zoom farther than this
+  minPolarAngle: Math.PI / 4, // Limit how high user can orbit, in radians from the top
+  maxPolarAngle: Math.PI - Math.PI / 4, // Limit how low user can orbit, in radians from the top
+  autoRotate: true, // Rotate around the model while idle
+  autoRotateSpeed: 2.0, // Speed of auto-rotation (30 seconds per orbit at 2.0)
+  resetDuration: 2000, // Idle time in ms before returning to the default view
+  renderOnDemand: true, // Only render when something changes instead of every frame
+  quality: 'auto', // 'auto' adapts the rendering quality to the measured frame rate, 'low' or 'high' fix it (see adaptiveQuality.js)
+  showQualityOverlay: false, // Show the frame rate and quality tier in a corner, for debugging
+  showCameraControls: true, // Show the front/back/left/right/detail buttons
+  material: 'standard', // 'preserve' keeps the glTF materials, 'standard' converts to PBR, or a fabric preset (cotton, jersey, polyester, fleece)
+  printArea: { x: 0, y: 0.12, width: 0.38, height: 0.45 }, // Print area center offset and size, relative to the model bounds
+  printSizeCm: { width: 30, height: 40 }, // Physical size of the print area, used for print file export
+  strings: {} // UI text, e.g. VIEWER_STRINGS.ja from viewerStrings.js - missing text falls back to English
+};
+
+// Option names that must be non-negative numbers
+const NON_NEGATIVE_NUMBERS = [
+  'ambientLightIntensity',
+  'keyLightIntensity',
+  'rimLightIntensity',
+  'fillLightIntensity',
+  'minDistance',
+  'maxDistance',
+  'resetDuration'
+];
+
+// Merge options with the defaults and validate the result
+export function resolveOptions(options = {}) {
+  for (const key of Object.keys(options)) {
+    if (!(key in DEFAULT_OPTIONS)) {
+      throw new TypeError(`ProductViewer: unknown option "${key}"`);
+    }
+  }
+
+  // Drop undefined values so they fall back to the defaults
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  if (defined.strings !== undefined && (typeof defined.strings !== 'object' || defined.strings === null)) {
+    throw new TypeError('ProductViewer: "strings" must be an object');
+  }
+  const resolved = {
+    ...DEFAULT_OPTIONS,
+    ...defined,
+    printArea: { ...DEFAULT_OPTIONS.printArea, ...defined.printArea },
+    printSizeCm: { ...DEFAULT_OPTIONS.printSizeCm, ...defined.printSizeCm },
+    strings: resolveStrings(defined.strings)
+  };
+
+  if (typeof resolved.modelUrl !== 'string' || resolved.modelUrl === '') {
+    throw new TypeError('ProductViewer: "modelUrl" must be a non-empty string');
+  }
+  for (const key of ['previewModelUrl', 'poster']) {
+    if (typeof resolved[key] !== 'string') {
+      throw new TypeError(`ProductViewer: "${key}" must be a string`);
+    }
+  }
+  if (typeof resolved.background !== 'number' && typeof resolved.background !== 'string') {
+    throw new TypeError('ProductViewer: "background" must be a color number or CSS color string');
+  }
+  if (!Object.hasOwn(LIGHTING_PRESETS, resolved.lighting)) {
+    throw new RangeError(`ProductViewer: "lighting" must be one of ${Object.keys(LIGHTING_PRESETS).join(', ')}`);
+  }
+  if (!MATERIAL_MODES.includes(resolved.material)) {
+    throw new RangeError(`ProductViewer: "material" must be one of ${MATERIAL_MODES.join(', ')}`);
+  }
+  if (!QUALITY_MODES.includes(resolved.quality)) {
+    throw new RangeError(`ProductViewer: "quality" must be one of ${QUALITY_MODES.join(', ')}`);
+  }
+  for (const key of ['autoRotate', 'renderOnDemand', 'showCameraControls', 'showQualityOverlay']) {
+    if (typeof resolved[key] !== 'boolean') {
+      throw new TypeError(`ProductViewer: "${key}" must be a boolean`);
+    }
+  }
+
+  for (const key of NON_NEGATIVE_NUMBERS) {
+    assertNumber(key, resolved[key]);
+    if (resolved[key] < 0) {
+      throw new RangeError(`ProductViewer: "${key}" must not be negative`);
+    }
+  }
+  assertNumber('autoRotateSpeed', resolved.autoRotateSpeed);
+  assertNumber('minPolarAngle', resolved.minPolarAngle);
+  assertNumber('maxPolarAngle', resolved.maxPolarAngle);
+
+  if (resolved.minDistance > resolved.maxDistance) {
+    throw new RangeError('ProductViewer: "minDistance" must not be greater than "maxDistance"');
+  }
+  if (resolved.minPolarAngle < 0 || resolved.maxPolarAngle > Math.PI || resolved.minPolarAngle > resolved.maxPolarAngle) {
+    throw new RangeError('ProductViewer: polar angles must satisfy 0 <= minPolarAngle <= maxPolarAngle <= PI');
+  }
+
+  for (const key of ['x', 'y', 'width', 'height']) {
+    assertNumber(`printArea.${key}`, resolved.printArea[key]);
+  }
+  if (resolved.printArea.width <= 0 || resolved.printArea.height <= 0) {
+    throw new RangeError('ProductViewer: "printArea.width" and "printArea.height" must be positive');
+  }
+
+  for (const key of ['width', 'height']) {
+    assertNumber(`printSizeCm.${key}`, resolved.printSizeCm[key]);
+    if (resolved.printSizeCm[key] <= 0) {
+      throw new RangeError(`ProductViewer: "printSizeCm.${key}" must be positive`);
+    }
+  }
+
+  return resolved;
+}
+
+// Read options from the data-* attributes written by ProductDisplay
+export function optionsFromDataset(dataset) {
+  const options = {};
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_OPTIONS)) {
+    const value = dataset[key];
+    if (value === undefined) continue;
+
+    if (typeof defaultValue === 'number') {
+      // Colors may be given as CSS strings, so keep values that aren't numeric
+      const number = Number(value);
+      options[key] = Number.isNaN(number) ? value : number;
+    } else if (typeof defaultValue === 'boolean') {
+      options[key] = value === 'true';
+    } else if (typeof defaultValue === 'object') {
+      options[key] = JSON.parse(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+// Serialize options into data-* attributes that optionsFromDataset can read
+export function optionsToDataAttributes(options) {
+  const attributes = {};
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+
+    const name = 'data-' + key.replace(/[A-Z]/g, (letter) => '-' + letter.toLowerCase());
+    attributes[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  return attributes;
+}
+
+// Throw if value is not a finite number
+function assertNumber(key, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TypeError(`ProductViewer: "${key}" must be a finite number`);
+  }
+}
@@ -0,0 +1,146 @@
+import { CAMERA_PRESETS } from './cameraPresets.js';
+import { LIGHTING_PRESETS } from './lightingPresets.js';
+import { GARMENT_MODELS } from './garmentModels.js';
+import { PRINT_WARNINGS } from './printExport.js';
+
+// Preset labels by name - the English labels live with the presets
+const labels = (presets) => Object.fromEntries(Object.entries(presets).map(([name, { label }]) => [name, label]));
+
+// Text the viewer shows or announces, by locale - pass one as the strings option
+// {seconds} in retryingIn is replaced with the retry delay
+export const VIEWER_STRINGS = {
+  en: {
+    productLabel: 'T-shirt', // Default garment label of ProductDisplay
+    product: 'Product', // Accessible name when the page gives no title or label
+    roleDescription: '3D viewer',
+    keyboardHint: 'Use the arrow keys to rotate, plus and minus to zoom, and Home to reset the view.',
+    loading: 'Loading 3D model',
+    errors: {
+      network: "Couldn't download the 3D model. Check your connection and try again.",
+      parse: "The 3D model couldn't be read. Please try again.",
+      contextlost: 'The graphics context was lost. Restoring the 3D view…'
+    },
+    retry: 'Retry',
+    retryingIn: 'Retrying in {seconds}s…',
+    cameraViews: 'Camera views',
+    reset: 'Reset',
+    cameraPresets: labels(CAMERA_PRESETS),
+    lighting: 'Lighting',
+    lightingPresets: labels(LIGHTING_PRESETS),
+    printWarnings: PRINT_WARNINGS // {dpi}, {widthCm}, {minDpi}, {targetDpi}, {areaWidthCm} and {areaHeightCm} are filled in
+  },
+  ja: {
+    productLabel: 'Tシャツ',
+    product: '商品',
+    roleDescription: '3Dビューア',
+    keyboardHint: '矢印キーで回転、プラスとマイナスでズーム、Home キーで表示をリセットします。',
+    loading: '3Dモデルを読み込み中',
+    errors: {
+      network: '3Dモデルをダウンロードできませんでした。接続を確認して、もう一度お試しください。',
+      parse: '3Dモデルを読み込めませんでした。もう一度お試しください。',
+      contextlost: 'グラフィックスコンテキストが失われました。3D表示を復元しています…'
+    },
+    retry: '再試行',
+    retryingIn: '{seconds}秒後に再試行します…',
+    cameraViews: 'カメラビュー',
+    reset: 'リセット',
+    cameraPresets: { front: '正面', back: '背面', left: '左', right: '右', detail: '詳細' },
+    lighting: 'ライティング',
+    lightingPresets: { studio: 'ソフトスタジオ', highKey: 'ハイキー', dramatic: 'ドラマチック', outdoor: '屋外' },
+    printWarnings: {
+      lowResolution: 'アートワークは幅 {widthCm} cm で {dpi} DPI となり、推奨の {minDpi} DPI を下回ります。' +
+        'より大きな画像を使うか、デザインを縮小してください。',
+      upscaled: 'アートワークは {dpi} DPI で、印刷の目標 {targetDpi} DPI を下回るため拡大して印刷されます。',
+      outsidePrintArea: 'デザインの一部が {areaWidthCm} × {areaHeightCm} cm の印刷範囲からはみ出しているため、切り取られます。'
+    }
+  }
+};
+
+// Fill in what a dictionary leaves out with the English text
+export function resolveStrings(strings = {}) {
+  const { en } = VIEWER_STRINGS;
+  return {
+    ...en,
+    ...strings,
+    errors: { ...en.errors, ...strings.errors },
+    cameraPresets: { ...en.cameraPresets, ...strings.cameraPresets },
+    lightingPresets: { ...en.lightingPresets, ...strings.lightingPresets },
+    printWarnings: { ...en.printWarnings, ...strings.printWarnings }
+  };
+}
+
+// Dictionary of a locale, English for locales without one
+export function getViewerStrings(locale) {
+  return Object.hasOwn(VIEWER_STRINGS, locale) ? VIEWER_STRINGS[locale] : VIEWER_STRINGS.en;
+}
+
+// Garment and fit labels by name - the English labels live with the garment catalog
+const garmentLabels = labels(GARMENT_MODELS);
+const fitLabels = Object.assign({}, ...Object.values(GARMENT_MODELS).map(({ variants }) => labels(variants)));
+
+// Text of the controls that sit next to a viewer (ColorSwatches, GarmentPicker, ArtworkUpload, PrintExport and
+// MediaExport), by locale - kept apart from VIEWER_STRINGS, which every viewer carries in its data attributes
+// {name} in soldOut is replaced with the colorway name
+export const CONTROL_STRINGS = {
+  en: {
+    garmentColor: 'Garment color',
+    soldOut: '{name} (sold out)',
+    garment: 'Garment',
+    fit: 'Fit',
+    garments: garmentLabels,
+    fits: fitLabels,
+    uploadArtwork: 'Upload your artwork',
+    scale: 'Scale',
+    rotation: 'Rotation',
+    reset: 'Reset',
+    dragHint: 'Drag the artwork on the shirt to move it',
+    fileType: 'Please choose a PNG, JPEG or SVG file.',
+    fileSize: 'Please choose a file smaller than 10 MB.',
+    fileUnreadable: 'This file could not be read. Please try another image.',
+    resolution: 'Resolution',
+    downloadPrintFile: 'Download print file',
+    printFileFailed: 'The print file could not be exported. Place a design on the garment first.',
+    size: 'Size',
+    transparentBackground: 'Transparent background',
+    downloadImage: 'Download image',
+    downloadMockupSheet: 'Download mockup sheet',
+    recordTurntable: 'Record turntable',
+    recording: 'Recording…',
+    exportTooLarge: "This device can't render images that large. Choose a smaller size.",
+    videoUnsupported: 'Video recording is not supported in this browser.',
+    exportFailed: 'The export failed. Wait for the model to load and try again.'
+  },
+  ja: {
+    garmentColor: '本体カラー',
+    soldOut: '{name}（売り切れ）',
+    garment: 'アイテム',
+    fit: 'フィット',
+    garments: { ...garmentLabels, tee: 'Tシャツ' },
+    fits: { ...fitLabels, regular: 'レギュラーフィット' },
+    uploadArtwork: 'アートワークをアップロード',
+    scale: '大きさ',
+    rotation: '回転',
+    reset: 'リセット',
+    dragHint: 'シャツの上のアートワークをドラッグして移動できます',
+    fileType: 'PNG、JPEG、SVG のいずれかのファイルを選んでください。',
+    fileSize: '10 MB 未満のファイルを選んでください。',
+    fileUnreadable: 'このファイルは読み込めませんでした。別の画像をお試しください。',
+    resolution: '解像度',
+    downloadPrintFile: '印刷用データをダウンロード',
+    printFileFailed: '印刷用データを書き出せませんでした。先にデザインを配置してください。',
+    size: 'サイズ',
+    transparentBackground: '背景を透明にする',
+    downloadImage: '画像をダウンロード',
+    downloadMockupSheet: 'モックアップシートをダウンロード',
+    recordTurntable: 'ターンテーブル動画を録画',
+    recording: '録画中…',
+    exportTooLarge: 'この端末ではこの大きさの画像を書き出せません。小さいサイズを選んでください。',
+    videoUnsupported: 'このブラウザは動画の録画に対応していません。',
+    exportFailed: '書き出しに失敗しました。モデルの読み込みが終わってから、もう一度お試しください。'
+  }
+};
+
+// Control text of a locale, English for locales without one
+export function getControlStrings(locale) {
+  return Object.hasOwn(CONTROL_STRINGS, locale) ? CONTROL_STRINGS[locale] : CONTROL_STRINGS.en;
+}
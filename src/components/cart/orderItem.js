@@ -0,0 +1,69 @@
+import { findGarmentModel } from '../3d/garmentModels.js';
+
+// Size of the thumbnail captured from the viewer - the viewer's 4:5 export aspect
+export const THUMBNAIL_WIDTH = 240;
+export const THUMBNAIL_HEIGHT = 300;
+
+// Build the order item for what the viewer shows - posted to /api/cart
+//
+//   product     design slug the item is ordered from
+//   garment     { type, fit } from the garment catalog
+//   size        one of the garment's sizes
+//   color       garment color as sRGB hex
+//   artwork     { type: 'design', url } for the design artwork, { type: 'upload', image } with the uploaded file as a data URL
+//   placement   { offset, scale, rotation } as reported by the viewer
+//   quantity    number of garments
+//   thumbnail   PNG data URL of the current view, left out when the 3D view can't render
+export async function createOrderItem(viewer, { product, size, quantity = 1 }) {
+  const model = findGarmentModel(viewer.modelUrl);
+  if (!model) {
+    throw new Error('orderItem: the garment model is not in the catalog');
+  }
+  const design = viewer.getDesignState();
+  if (!design) {
+    throw new Error('orderItem: there is no design on the garment');
+  }
+  const { color } = viewer.getViewState();
+  if (!color) {
+    throw new Error('orderItem: the garment has no color');
+  }
+
+  return {
+    product,
+    garment: { type: model.garment, fit: model.variant },
+    size,
+    color,
+    artwork: isSitePath(design.url)
+      ? { type: 'design', url: design.url }
+      : { type: 'upload', image: await fileToDataUrl(design.url) }, // Blob URLs only exist in this tab
+    placement: design.placement,
+    quantity,
+    thumbnail: captureThumbnail(viewer)
+  };
+}
+
+// Paths of the site's own design images, as opposed to blob: URLs of uploads
+function isSitePath(url) {
+  return url.startsWith('/') && !url.startsWith('//');
+}
+
+// The uploaded file behind a blob: URL as a data URL - the original bytes, so it stays within the upload size limit
+async function fileToDataUrl(url) {
+  const blob = await (await fetch(url)).blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Small PNG of the current view, or undefined when the viewer can't render one
+function captureThumbnail(viewer) {
+  try {
+    return viewer.renderStill({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT }).toDataURL('image/png');
+  } catch (error) {
+    console.warn('The cart thumbnail could not be captured:', error);
+    return undefined;
+  }
+}
@@ -0,0 +1,43 @@
+import { defineCollection, z } from 'astro:content';
+import { file } from 'astro/loaders';
+import { MATERIAL_MODES } from './components/3d/garmentMaterials.js';
+import { LOCALES } from './i18n/ui';
+
+// Text in the other site languages, by locale - the plain fields are English
+const translations = <T extends z.ZodTypeAny>(text: T) => z.record(z.enum(LOCALES), text);
+
+// Garment colorway a design is sold in
+const colorway = z.object({
+  name: z.string(),
+  names: translations(z.string()).optional(), // The name in other languages
+  hex: z.string().regex(/^#[0-9a-fA-F]{6}$/),
+  available: z.boolean().default(true),
+  price: z.number().nonnegative().optional() // Overrides the design price
+});
+
+// Design manifest - each entry is keyed by its slug
+const designs = defineCollection({
+  loader: file('src/data/designs.json'),
+  schema: z.object({
+    title: z.string(),
+    label: z.string().optional(), // Garment label, defaults to the page language's word for T-shirt
+    description: z.string(),
+    translations: translations(z.object({
+      title: z.string(),
+      label: z.string(),
+      description: z.string()
+    }).partial()).default({}), // What's left out stays in English
+    image: z.string(), // Path to the design artwork in public/
+    poster: z.string().optional(), // Image in public/ shown until the 3D view renders, defaults to the design artwork
+    tags: z.array(z.string()).default([]),
+    price: z.number().nonnegative(),
+    currency: z.string().default('JPY'),
+    colorways: z.array(colorway).optional(), // Falls back to the default palette
+    material: z.string().refine((mode) => MATERIAL_MODES.includes(mode), {
+      message: `Expected one of ${MATERIAL_MODES.join(', ')}`
+    }).default('cotton'), // Garment material mode or fabric preset
+    lighting: z.enum(['studio', 'highKey', 'dramatic', 'outdoor']).default('studio') // Lighting preset of the product page
+  })
+});
+
+export const collections = { designs };
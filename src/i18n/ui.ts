@@ -0,0 +1,120 @@
+import type { CollectionEntry } from 'astro:content';
+
+// Site languages - every page is served under /en/ and /ja/ (see the i18n settings in astro.config.mjs)
+// Viewer text has its own dictionary in src/components/3d/viewerStrings.js
+export const LOCALES = ['en', 'ja'] as const;
+export type Locale = (typeof LOCALES)[number];
+export const DEFAULT_LOCALE: Locale = 'en';
+
+// Names in their own language, for the language switcher
+export const LOCALE_NAMES: Record<Locale, string> = {
+  en: 'English',
+  ja: '日本語'
+};
+
+// Locale for Open Graph, which wants a region
+export const OG_LOCALES: Record<Locale, string> = {
+  en: 'en_US',
+  ja: 'ja_JP'
+};
+
+const en = {
+  siteName: 'Fashion Concept',
+  homeTitle: 'Fashion Concept | 3D Experience',
+  defaultDescription: 'Experience fashion in 3D',
+  language: 'Language',
+  browseDesigns: 'Browse all designs',
+  designs: 'Designs',
+  designsDescription: 'Browse every design in 3D',
+  compareLink: 'Compare designs side by side',
+  compare: 'Compare designs',
+  compareDescription: 'Compare designs side by side in 3D',
+  compareHint: 'Rotate any garment and the others follow.',
+  inStock: 'In stock',
+  soldOut: 'Sold out',
+  cart: 'Cart',
+  cartDescription: 'Your configured garments',
+  cartEmpty: 'Your cart is empty.',
+  uploadedArtwork: 'Your artwork',
+  originalArtwork: 'Original artwork',
+  items: (count: number) => `${count} ${count === 1 ? 'item' : 'items'}`,
+  thumbnailAlt: (title: string, color: string) => `${title} on a ${color} garment`,
+  size: 'Size',
+  quantity: 'Quantity',
+  addToCart: 'Add to cart',
+  addingToCart: 'Adding to cart…',
+  addedOne: 'Added. {count} item in your cart.', // {count} is the number of items in the cart
+  addedOther: 'Added. {count} items in your cart.',
+  viewCart: 'View cart',
+  addToCartFailed: 'The item could not be added to the cart.',
+  requestNotJson: 'The request body must be JSON',
+  orderInvalid: 'The order item is invalid',
+  unknownProduct: (product: string) => `Unknown product "${product}"`,
+  notSoldInColor: (title: string, color: string) => `${title} isn't sold in ${color}`,
+  colorSoldOut: (title: string, color: string) => `${title} in ${color} is sold out`,
+  notDesignArtwork: (title: string) => `The artwork is not the ${title} design`,
+  cartFull: (max: number) => `A cart holds at most ${max} items`
+};
+
+export type UIStrings = typeof en;
+
+export const UI: Record<Locale, UIStrings> = {
+  en,
+  ja: {
+    siteName: 'Fashion Concept',
+    homeTitle: 'Fashion Concept | 3D体験',
+    defaultDescription: 'ファッションを3Dで体験',
+    language: '言語',
+    browseDesigns: 'すべてのデザインを見る',
+    designs: 'デザイン',
+    designsDescription: 'すべてのデザインを3Dで見る',
+    compareLink: 'デザインを並べて比較する',
+    compare: 'デザインを比較',
+    compareDescription: 'デザインを3Dで並べて比較',
+    compareHint: 'どれか一着を回すと、ほかの服も一緒に回ります。',
+    inStock: '在庫あり',
+    soldOut: '売り切れ',
+    cart: 'カート',
+    cartDescription: 'カスタマイズした商品',
+    cartEmpty: 'カートは空です。',
+    uploadedArtwork: 'アップロードしたアートワーク',
+    originalArtwork: 'オリジナルアートワーク',
+    items: (count: number) => `${count}点`,
+    thumbnailAlt: (title: string, color: string) => `${color}の服に「${title}」`,
+    size: 'サイズ',
+    quantity: '数量',
+    addToCart: 'カートに追加',
+    addingToCart: 'カートに追加しています…',
+    addedOne: 'カートに追加しました。カートの商品は{count}点です。',
+    addedOther: 'カートに追加しました。カートの商品は{count}点です。',
+    viewCart: 'カートを見る',
+    addToCartFailed: 'カートに追加できませんでした。',
+    requestNotJson: 'リクエストの本文は JSON で送ってください',
+    orderInvalid: '注文内容が正しくありません',
+    unknownProduct: (product: string) => `商品「${product}」はありません`,
+    notSoldInColor: (title: string, color: string) => `「${title}」は${color}では販売していません`,
+    colorSoldOut: (title: string, color: string) => `「${title}」の${color}は売り切れです`,
+    notDesignArtwork: (title: string) => `アートワークが「${title}」のデザインではありません`,
+    cartFull: (max: number) => `カートに入れられる商品は${max}点までです`
+  }
+};
+
+export function isLocale(value: unknown): value is Locale {
+  return LOCALES.includes(value as Locale);
+}
+
+// A design's manifest entry with its title, label and description in a language
+export function localizeDesign(data: CollectionEntry<'designs'>['data'], locale: string) {
+  return isLocale(locale) ? { ...data, ...data.translations[locale] } : data;
+}
+
+// Paths for getStaticPaths() of pages under src/pages/[lang]/
+export function getLocalePaths() {
+  return LOCALES.map((lang) => ({ params: { lang } }));
+}
+
+// Path of a page without its locale prefix - /ja/designs/ becomes /designs/
+export function stripLocale(pathname: string) {
+  const [, first, ...rest] = pathname.split('/');
+  return isLocale(first) ? `/${rest.join('/')}` : pathname;
+}
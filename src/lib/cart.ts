@@ -0,0 +1,119 @@
+import { z } from 'astro/zod';
+import { getCollection } from 'astro:content';
+import { GARMENT_MODELS } from '../components/3d/garmentModels.js';
+import { DEFAULT_PALETTE, colorwayName } from '../components/3d/colorways.js';
+import { MIN_DESIGN_SCALE, MAX_DESIGN_SCALE, MAX_DESIGN_OFFSET } from '../components/3d/designPlacement.js';
+import { MAX_ARTWORK_FILE_SIZE } from '../components/3d/uploadLimits.js';
+import { UI, DEFAULT_LOCALE, localizeDesign, type Locale, type UIStrings } from '../i18n/ui';
+
+// The largest uploadable file as a base64 data URL
+const MAX_ARTWORK_LENGTH = 'data:image/jpeg;base64,'.length + Math.ceil(MAX_ARTWORK_FILE_SIZE / 3) * 4;
+const MAX_THUMBNAIL_LENGTH = 512 * 1024;
+export const MAX_QUANTITY = 99;
+export const MAX_CART_ITEMS = 20; // Every item may carry an uploaded image, so carts stay small
+
+// PNG, JPEG or WebP image inlined as a base64 data URL - captures the image type and the data
+export const IMAGE_DATA_URL = /^data:image\/(png|jpeg|webp);base64,([A-Za-z0-9+/]+=*)$/;
+const dataUrl = (maxLength: number) => z.string()
+  .max(maxLength)
+  .regex(IMAGE_DATA_URL, 'Expected a base64 image data URL');
+
+// Site path such as /designs/World.png - never another origin
+const sitePath = z.string().regex(/^\/(?!\/)/, 'Expected a path on this site');
+
+// Order item built by createOrderItem() in src/components/cart/orderItem.js
+export const orderItemSchema = z.object({
+  product: z.string().min(1), // Design slug
+  garment: z.object({
+    type: z.string().refine((type) => Object.hasOwn(GARMENT_MODELS, type), 'Unknown garment'),
+    fit: z.string()
+  }),
+  size: z.string(),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/).transform((hex) => hex.toLowerCase()),
+  artwork: z.discriminatedUnion('type', [
+    z.object({ type: z.literal('design'), url: sitePath }),
+    z.object({ type: z.literal('upload'), image: dataUrl(MAX_ARTWORK_LENGTH) })
+  ]),
+  placement: z.object({
+    offset: z.object({
+      x: z.number().min(-MAX_DESIGN_OFFSET).max(MAX_DESIGN_OFFSET),
+      y: z.number().min(-MAX_DESIGN_OFFSET).max(MAX_DESIGN_OFFSET)
+    }),
+    scale: z.number().min(MIN_DESIGN_SCALE).max(MAX_DESIGN_SCALE),
+    rotation: z.number().finite()
+  }),
+  quantity: z.number().int().min(1).max(MAX_QUANTITY).default(1),
+  thumbnail: dataUrl(MAX_THUMBNAIL_LENGTH).optional()
+}).superRefine(({ garment, size }, context) => {
+  const entry = GARMENT_MODELS[garment.type as keyof typeof GARMENT_MODELS];
+  if (!entry) return; // Already reported by the garment type check
+
+  if (!Object.hasOwn(entry.variants, garment.fit)) {
+    context.addIssue({ code: z.ZodIssueCode.custom, path: ['garment', 'fit'], message: `Unknown fit for ${entry.label}` });
+  }
+  if (!entry.sizes.includes(size)) {
+    context.addIssue({ code: z.ZodIssueCode.custom, path: ['size'], message: `Expected one of ${entry.sizes.join(', ')}` });
+  }
+});
+
+export type OrderItem = z.infer<typeof orderItemSchema>;
+
+// Order item as stored in a cart, priced from the design manifest
+// An uploaded artwork image and the thumbnail are stored as files - here they are the URLs that serve them
+export interface CartItem extends OrderItem {
+  id: string;
+  addedAt: string;
+  title: string;
+  colorName: string;
+  unitPrice: number;
+  currency: string;
+}
+
+// Thrown when an order item is well-formed but can't be ordered
+// describe words the reason in a page language, the message is the English wording
+export class OrderError extends Error {
+  describe: (t: UIStrings, locale: Locale) => string;
+
+  constructor(describe: (t: UIStrings, locale: Locale) => string) {
+    super(describe(UI[DEFAULT_LOCALE], DEFAULT_LOCALE));
+    this.describe = describe;
+  }
+}
+
+// Price an order item from the design manifest - the client never sets prices
+export async function priceOrderItem(item: OrderItem): Promise<Omit<CartItem, 'id' | 'addedAt'>> {
+  const design = (await getCollection('designs')).find(({ id }) => id === item.product);
+  if (!design) {
+    throw new OrderError((t) => t.unknownProduct(item.product));
+  }
+
+  const { title, image, price, currency, colorways = DEFAULT_PALETTE } = design.data;
+  if (item.artwork.type === 'design' && item.artwork.url !== image) {
+    throw new OrderError((t, locale) => t.notDesignArtwork(localizeDesign(design.data, locale).title));
+  }
+  const colorway = colorways.find(({ hex }) => hex.toLowerCase() === item.color);
+  if (!colorway) {
+    throw new OrderError((t, locale) => t.notSoldInColor(localizeDesign(design.data, locale).title, item.color));
+  }
+  if (!colorway.available) {
+    throw new OrderError((t, locale) => t.colorSoldOut(localizeDesign(design.data, locale).title, colorwayName(colorway, locale)));
+  }
+
+  return { ...item, title, colorName: colorway.name, unitPrice: colorway.price ?? price, currency };
+}
+
+// What the cart endpoint returns - items without their images, and a total per currency
+export function summarizeCart(items: CartItem[]) {
+  const totals = new Map<string, number>();
+  for (const { unitPrice, quantity, currency } of items) {
+    totals.set(currency, (totals.get(currency) ?? 0) + unitPrice * quantity);
+  }
+
+  return {
+    items: items.map(({ id, product, title, garment, size, color, colorName, quantity, unitPrice, currency }) => ({
+      id, product, title, garment, size, color, colorName, quantity, unitPrice, currency
+    })),
+    count: items.reduce((count, { quantity }) => count + quantity, 0),
+    totals: [...totals].map(([currency, amount]) => ({ currency, amount }))
+  };
+}
@@ -0,0 +1,121 @@
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import type { AstroCookies } from 'astro';
+import { IMAGE_DATA_URL, MAX_CART_ITEMS, OrderError, type CartItem } from './cart';
+
+// Carts live in one local JSON file keyed by cart id - enough for a single server process
+// CART_STORE_PATH overrides the location, relative paths resolve from the working directory
+const STORE_PATH = resolve(process.env.CART_STORE_PATH ?? '.data/carts.json');
+
+// Uploaded artwork and thumbnails are files next to the store, so the JSON stays small
+const IMAGE_DIR = join(dirname(STORE_PATH), 'cart-images');
+
+// URL the cart images are served from, see src/pages/api/cart/images/[name].ts
+export const CART_IMAGE_URL = '/api/cart/images/';
+
+// Name of a stored image - the item id keeps it unique and tells which cart it belongs to
+const IMAGE_NAME = /^([0-9a-f-]{36})-(artwork|thumbnail)\.(png|jpeg|webp)$/;
+
+// Cookie holding the visitor's cart id
+export const CART_COOKIE = 'cart';
+
+// Cart ids are UUIDs - anything else in the cookie is ignored
+const CART_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The visitor's cart id from the request cookies, or undefined when they have no valid one
+export function getCartId(cookies: AstroCookies) {
+  const id = cookies.get(CART_COOKIE)?.value;
+  return id && CART_ID.test(id) ? id : undefined;
+}
+
+type Store = Record<string, { items: CartItem[] }>;
+
+// Writes run one after another so concurrent requests don't overwrite each other
+let queue: Promise<unknown> = Promise.resolve();
+
+async function readStore(): Promise<Store> {
+  try {
+    return JSON.parse(await readFile(STORE_PATH, 'utf8'));
+  } catch (error) {
+    if ((error as { code?: string }).code === 'ENOENT') return {}; // Nothing ordered yet
+    throw error;
+  }
+}
+
+// Write to a temporary file first so a crash never leaves half a store behind
+async function writeStore(store: Store) {
+  await mkdir(dirname(STORE_PATH), { recursive: true });
+  await writeFile(`${STORE_PATH}.tmp`, JSON.stringify(store));
+  await rename(`${STORE_PATH}.tmp`, STORE_PATH);
+}
+
+// Write an image data URL to a file and return the URL that serves it
+async function writeImage(itemId: string, role: 'artwork' | 'thumbnail', dataUrl: string) {
+  const [, type, data] = dataUrl.match(IMAGE_DATA_URL) ?? [];
+  if (!type) {
+    throw new TypeError('cartStore: expected a base64 image data URL');
+  }
+
+  const name = `${itemId}-${role}.${type}`;
+  await mkdir(IMAGE_DIR, { recursive: true });
+  await writeFile(join(IMAGE_DIR, name), Buffer.from(data, 'base64'));
+  return CART_IMAGE_URL + name;
+}
+
+// Items in a cart, oldest first
+export async function getCartItems(cartId: string): Promise<CartItem[]> {
+  await queue;
+  const store = await readStore();
+  return Object.hasOwn(store, cartId) ? store[cartId].items : [];
+}
+
+// Add an item to a cart and return the cart's items
+// The item's images are data URLs - they're written to files and the stored item points at those
+export function addCartItem(cartId: string, item: CartItem): Promise<CartItem[]> {
+  const update = queue.then(async () => {
+    const store = await readStore();
+    const cart = Object.hasOwn(store, cartId) ? store[cartId] : { items: [] };
+    if (cart.items.length >= MAX_CART_ITEMS) {
+      throw new OrderError((t) => t.cartFull(MAX_CART_ITEMS));
+    }
+
+    const written: string[] = [];
+    try {
+      const stored = { ...item };
+      if (item.artwork.type === 'upload') {
+        stored.artwork = { type: 'upload', image: await writeImage(item.id, 'artwork', item.artwork.image) };
+        written.push(stored.artwork.image);
+      }
+      if (item.thumbnail) {
+        stored.thumbnail = await writeImage(item.id, 'thumbnail', item.thumbnail);
+        written.push(stored.thumbnail);
+      }
+
+      cart.items.push(stored);
+      store[cartId] = cart;
+      await writeStore(store);
+      return cart.items;
+    } catch (error) {
+      // Don't leave images behind that no cart points at
+      await Promise.all(written.map((url) => unlink(join(IMAGE_DIR, url.slice(CART_IMAGE_URL.length))).catch(() => {})));
+      throw error;
+    }
+  });
+  queue = update.catch(() => {}); // A failed write mustn't block later ones
+  return update;
+}
+
+// An image of one of the cart's items, or null when the cart has no such image
+export async function getCartImage(cartId: string, name: string) {
+  const [, itemId, , type] = name.match(IMAGE_NAME) ?? [];
+  if (!itemId || !(await getCartItems(cartId)).some(({ id }) => id === itemId)) {
+    return null;
+  }
+
+  try {
+    return { data: await readFile(join(IMAGE_DIR, name)), type: `image/${type}` };
+  } catch (error) {
+    if ((error as { code?: string }).code === 'ENOENT') return null;
+    throw error;
+  }
+}
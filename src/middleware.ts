@@ -0,0 +1,19 @@
+import { defineMiddleware } from 'astro:middleware';
+import { getRelativeLocaleUrl } from 'astro:i18n';
+import { DEFAULT_LOCALE } from './i18n/ui';
+
+// Pages from before the /en/ and /ja/ prefix - links shared with the viewer state in the query still work
+// Paths with a file extension are left alone, /designs/*.png are design images in public/
+const UNPREFIXED_PAGE = /^\/(designs|cart)(\/[^.]*)?$/;
+
+// Send un-prefixed pages to the same page in the language the browser prefers
+// Runs before Astro's i18n routing, which would answer them with a 404
+export const onRequest = defineMiddleware((context, next) => {
+  const { pathname, search } = context.url;
+  if (!UNPREFIXED_PAGE.test(pathname)) {
+    return next();
+  }
+
+  const locale = context.preferredLocale ?? DEFAULT_LOCALE;
+  return context.redirect(getRelativeLocaleUrl(locale, pathname) + search);
+});
@@ -0,0 +1,64 @@
+import type { APIRoute, AstroCookies } from 'astro';
+import { orderItemSchema, priceOrderItem, summarizeCart, OrderError } from '../../lib/cart';
+import { addCartItem, getCartItems, getCartId, CART_COOKIE } from '../../lib/cartStore';
+import { UI, DEFAULT_LOCALE, isLocale } from '../../i18n/ui';
+
+// Rendered on request - the cart changes with every order
+export const prerender = false;
+
+const CART_MAX_AGE = 60 * 60 * 24 * 30; // Keep a cart for 30 days
+
+// Respond with JSON
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Id of the visitor's cart, creating one if they have none yet
+function cartId(cookies: AstroCookies) {
+  const id = getCartId(cookies) ?? crypto.randomUUID();
+  cookies.set(CART_COOKIE, id, { path: '/', httpOnly: true, sameSite: 'lax', maxAge: CART_MAX_AGE });
+  return id;
+}
+
+// Cart summary of the visitor's cart
+export const GET: APIRoute = async ({ cookies }) => {
+  const id = getCartId(cookies);
+  return json(summarizeCart(id ? await getCartItems(id) : []));
+};
+
+// Add an order item built from the viewer, then return the updated cart summary
+// Errors are worded in the language of the Accept-Language header - AddToCart sends the page language
+export const POST: APIRoute = async ({ request, cookies, preferredLocale }) => {
+  const locale = isLocale(preferredLocale) ? preferredLocale : DEFAULT_LOCALE;
+  const t = UI[locale];
+
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: t.requestNotJson }, 400);
+  }
+
+  const parsed = orderItemSchema.safeParse(body);
+  if (!parsed.success) {
+    return json({ error: t.orderInvalid, issues: parsed.error.issues }, 400);
+  }
+
+  try {
+    const priced = await priceOrderItem(parsed.data);
+    const items = await addCartItem(cartId(cookies), {
+      id: crypto.randomUUID(),
+      addedAt: new Date().toISOString(),
+      ...priced
+    });
+    return json(summarizeCart(items), 201);
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return json({ error: error.describe(t, locale) }, 422);
+    }
+    throw error;
+  }
+};
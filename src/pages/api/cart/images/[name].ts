@@ -0,0 +1,21 @@
+import type { APIRoute } from 'astro';
+import { getCartImage, getCartId } from '../../../../lib/cartStore';
+
+// Rendered on request - images are served from the cart store
+export const prerender = false;
+
+// Uploaded artwork or thumbnail of an item in the visitor's own cart
+export const GET: APIRoute = async ({ params, cookies }) => {
+  const id = getCartId(cookies);
+  const image = id && params.name ? await getCartImage(id, params.name) : null;
+  if (!image) {
+    return new Response(null, { status: 404 });
+  }
+
+  return new Response(new Uint8Array(image.data), {
+    headers: {
+      'Content-Type': image.type,
+      'Cache-Control': 'private, max-age=86400' // An item's images never change
+    }
+  });
+};